@@ -6,7 +6,13 @@ const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { authenticate, rejectInvalidKey } = require('./middleware/auth');
+const { httpMetrics, recordMountPath } = require('./middleware/metrics');
 const newsRoutes = require('./routes/news');
+const searchRoutes = require('./routes/searches');
+const adminRoutes = require('./routes/admin');
+const docsRoutes = require('./routes/docs');
+const { getMetrics } = require('./services/metricsService');
 const logger = require('./utils/logger');
  
 const app = express();
@@ -27,13 +33,20 @@ app.use(
         callback(new Error(`CORS policy: Origin ${origin} not allowed`));
       }
     },
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   })
 );
 
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+app.use(httpMetrics);
+
 // ─── Performance Middleware ───────────────────────────────────────────────────
-app.use(compression());
+// Event streams must reach the client as they are written, not buffered for gzip
+app.use(compression({
+  filter: (req, res) =>
+    !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') && compression.filter(req, res),
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -46,15 +59,19 @@ if (process.env.NODE_ENV !== 'test') {
   );
 }
 
-// ─── Rate Limiting ────────────────────────────────────────────────────────────
+// ─── Authentication & Rate Limiting ──────────────────────────────────────────
+// Anonymous clients are limited per IP; API key holders get their own budget
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 300,
+  max: (req) => (req.apiKey
+    ? req.apiKey.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 3000
+    : 300),
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey._id}` : req.ip),
   standardHeaders: true,
   legacyHeaders: false,
   message: { success: false, message: 'Too many requests. Please try again later.' },
 });
-app.use('/api', limiter);
+app.use('/api', authenticate, limiter, rejectInvalidKey);
 
 // ─── Health Check ─────────────────────────────────────────────────────────────
 app.get('/health', (req, res) => {
@@ -66,8 +83,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint; like /health, not behind /api auth
+app.get('/metrics', async (req, res, next) => {
+  try {
+    const { contentType, body } = await getMetrics();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ─── Routes ───────────────────────────────────────────────────────────────────
-app.use('/api/news', newsRoutes);
+app.use('/api/news', recordMountPath, newsRoutes);
+app.use('/api/searches', recordMountPath, searchRoutes);
+app.use('/api/admin', recordMountPath, adminRoutes);
+app.use('/api/docs', recordMountPath, docsRoutes);
 
 // ─── Error Handling ───────────────────────────────────────────────────────────
 app.use(notFound);
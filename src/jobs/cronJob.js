@@ -1,11 +1,88 @@
 const cron = require('node-cron');
-const { ingestNews } = require('../services/newsService');
+const { startIngestionJob } = require('./ingestionJobs');
+const { runRetentionJob } = require('./retentionJob');
+const { runExtractionJob } = require('./extractionJob');
+const { getRetentionPolicy } = require('../services/retentionService');
 const logger = require('../utils/logger');
 
 let task = null;
-let isRunning = false;
+let retentionTask = null;
+let extractionTask = null;
+
+/**
+ * Start an ingestion job unless one is already running
+ */
+const runScheduledIngestion = async (trigger) => {
+  try {
+    return await startIngestionJob({ trigger });
+  } catch (err) {
+    if (err.status === 409) {
+      logger.warn(`Ingestion already in progress${err.lockOwner ? ` on ${err.lockOwner}` : ''}. Skipping this run.`);
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Archive and prune expired articles; RETENTION_DRY_RUN=true only logs what would go
+ */
+const runScheduledRetention = async () => {
+  const dryRun = process.env.RETENTION_DRY_RUN === 'true';
+
+  try {
+    const result = await runRetentionJob({ dryRun });
+    if (dryRun) logger.info(`Retention dry run: ${result.archived} articles would be archived and deleted`);
+  } catch (err) {
+    if (err.status === 409) {
+      logger.warn(`Retention already running${err.lockOwner ? ` on ${err.lockOwner}` : ''}. Skipping this run.`);
+      return;
+    }
+    logger.error(`Retention job failed: ${err.message}`);
+  }
+};
+
+const startRetentionJob = () => {
+  if (!getRetentionPolicy().enabled) return;
+
+  const schedule = process.env.RETENTION_SCHEDULE || '30 3 * * *';
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid retention schedule: "${schedule}". Retention disabled.`);
+    return;
+  }
+
+  retentionTask = cron.schedule(schedule, runScheduledRetention);
+  logger.info(`Retention job scheduled with pattern: "${schedule}"`);
+};
+
+/**
+ * Fetch readable text for new articles; off unless EXTRACTION_ENABLED=true
+ */
+const startExtractionJob = () => {
+  if (process.env.EXTRACTION_ENABLED !== 'true') return;
+
+  const schedule = process.env.EXTRACTION_SCHEDULE || '*/10 * * * *';
+
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid extraction schedule: "${schedule}". Extraction disabled.`);
+    return;
+  }
+
+  extractionTask = cron.schedule(schedule, async () => {
+    try {
+      await runExtractionJob();
+    } catch (err) {
+      logger.error(`Extraction job failed: ${err.message}`);
+    }
+  });
+  logger.info(`Extraction job scheduled with pattern: "${schedule}"`);
+};
 
 const startCronJob = () => {
+  startRetentionJob();
+  startExtractionJob();
+
   const schedule = process.env.CRON_SCHEDULE || '0 */1 * * *';
 
   if (!cron.validate(schedule)) {
@@ -14,20 +91,12 @@ const startCronJob = () => {
   }
 
   task = cron.schedule(schedule, async () => {
-    if (isRunning) {
-      logger.warn('Ingestion already in progress. Skipping this run.');
-      return;
-    }
-
-    isRunning = true;
     logger.info(`Cron triggered at ${new Date().toISOString()}`);
 
     try {
-      await ingestNews();
+      await runScheduledIngestion('cron');
     } catch (err) {
       logger.error(`Cron job failed: ${err.message}`);
-    } finally {
-      isRunning = false;
     }
   });
 
@@ -36,10 +105,8 @@ const startCronJob = () => {
   // Run immediately on startup in production
   if (process.env.NODE_ENV === 'production' || process.env.FETCH_ON_START === 'true') {
     logger.info('Running initial ingestion on startup...');
-    isRunning = true;
-    ingestNews()
-      .catch((err) => logger.error(`Initial ingestion failed: ${err.message}`))
-      .finally(() => { isRunning = false; });
+    runScheduledIngestion('startup')
+      .catch((err) => logger.error(`Initial ingestion failed: ${err.message}`));
   }
 };
 
@@ -48,18 +115,8 @@ const stopCronJob = () => {
     task.stop();
     logger.info('Cron job stopped.');
   }
+  if (retentionTask) retentionTask.stop();
+  if (extractionTask) extractionTask.stop();
 };
 
-const triggerManualIngestion = async () => {
-  if (isRunning) {
-    throw new Error('Ingestion already in progress');
-  }
-  isRunning = true;
-  try {
-    return await ingestNews();
-  } finally {
-    isRunning = false;
-  }
-};
-
-module.exports = { startCronJob, stopCronJob, triggerManualIngestion };
+module.exports = { startCronJob, stopCronJob };
@@ -0,0 +1,45 @@
+const { holdLock } = require('../services/lockService');
+const { runExtraction } = require('../services/extractionService');
+const logger = require('../utils/logger');
+
+// One extraction worker per cluster keeps per-domain rate limits meaningful
+const LOCK_NAME = 'extraction';
+const LOCK_TTL_MS = parseInt(process.env.EXTRACTION_LOCK_TTL_MS, 10) || 120000;
+
+// The lease is re-entrant for this instance, so local overlap needs its own guard
+let running = false;
+
+/**
+ * Extract pending articles under the cluster lock. Resolves to null when
+ * a previous run (here or on another instance) is still extracting.
+ */
+const runExtractionJob = async () => {
+  if (running) return null;
+  running = true;
+
+  const controller = new AbortController();
+  let lease = null;
+
+  try {
+    lease = await holdLock(LOCK_NAME, {
+      ttlMs: LOCK_TTL_MS,
+      meta: { startedAt: new Date() },
+      onLost: () => controller.abort(),
+    });
+    if (!lease) return null;
+
+    const summary = await runExtraction({ signal: controller.signal });
+    if (summary.processed > 0) {
+      logger.info(
+        `Extraction: ${summary.success} extracted, ${summary.retry} to retry, ${summary.failed} failed, `
+        + `${summary.blocked} blocked by robots.txt, ${summary.skipped} skipped`
+      );
+    }
+    return summary;
+  } finally {
+    running = false;
+    if (lease) await lease.release();
+  }
+};
+
+module.exports = { runExtractionJob };
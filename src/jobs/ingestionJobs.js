@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { ingestNews } = require('../services/newsService');
+const { holdLock, getLockHolder } = require('../services/lockService');
+const { dispatchSavedSearchAlerts } = require('../services/savedSearchService');
+const logger = require('../utils/logger');
+
+// Finished jobs kept around so clients can still poll their outcome
+const MAX_FINISHED_JOBS = 50;
+
+// Cluster-wide lease so only one instance ingests at a time
+const LOCK_NAME = 'ingestion';
+const LOCK_TTL_MS = parseInt(process.env.INGESTION_LOCK_TTL_MS, 10) || 60000;
+
+const jobs = new Map();
+let activeJob = null;
+let starting = false;
+
+const pruneFinishedJobs = () => {
+  const finished = [...jobs.values()].filter((job) => job !== activeJob);
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach((job) => jobs.delete(job.id));
+};
+
+/**
+ * Public view of a job (drops the AbortController)
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  trigger: job.trigger,
+  status: job.status,
+  runId: job.runId,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+});
+
+const conflictError = (details) => {
+  const error = new Error('Ingestion already in progress');
+  error.status = 409;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Start an ingestion in the background and resolve with its job once the
+ * cluster lock is held. Throws a 409 error when any instance is already ingesting.
+ */
+const startIngestionJob = async ({ trigger = 'manual' } = {}) => {
+  if (activeJob || starting) {
+    throw conflictError({ jobId: activeJob?.id });
+  }
+
+  const id = crypto.randomUUID();
+  const controller = new AbortController();
+
+  // The lease is re-entrant per instance, so guard locally while awaiting it
+  starting = true;
+  let lease;
+  try {
+    lease = await holdLock(LOCK_NAME, {
+      ttlMs: LOCK_TTL_MS,
+      meta: { jobId: id, trigger },
+      onLost: () => controller.abort(),
+    });
+  } finally {
+    starting = false;
+  }
+
+  if (!lease) {
+    const holder = await getLockHolder(LOCK_NAME);
+    throw conflictError({ lockOwner: holder?.owner, jobId: holder?.meta?.jobId });
+  }
+
+  const job = {
+    id,
+    trigger,
+    status: 'running',
+    runId: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    progress: {
+      provider: null,
+      batch: null,
+      batchIndex: 0,
+      batchCount: 0,
+      pages: 0,
+      upserted: 0,
+      modified: 0,
+    },
+    result: null,
+    error: null,
+    controller,
+  };
+
+  jobs.set(job.id, job);
+  activeJob = job;
+
+  job.promise = ingestNews({
+    trigger,
+    signal: controller.signal,
+    onRunCreated: (runId) => { job.runId = runId; },
+    onProgress: (progress) => { job.progress = { ...job.progress, ...progress }; },
+  })
+    .then((result) => {
+      const { newArticleIds = [], ...summary } = result || {};
+      job.result = result ? summary : null;
+
+      // Webhook deliveries can take a while to retry; don't hold the lock for them
+      dispatchSavedSearchAlerts(newArticleIds, summary.runId)
+        .catch((err) => logger.error(`Saved search alerts failed: ${err.message}`));
+
+      if (controller.signal.aborted) job.status = 'cancelled';
+      else job.status = result?.status === 'failed' ? 'failed' : 'completed';
+    })
+    .catch((err) => {
+      job.status = 'failed';
+      job.error = err.message;
+      logger.error(`Ingestion job ${job.id} failed: ${err.message}`);
+    })
+    .finally(async () => {
+      await lease.release();
+      job.finishedAt = new Date();
+      activeJob = null;
+      pruneFinishedJobs();
+    });
+
+  logger.info(`Ingestion job ${job.id} started (${trigger})`);
+  return job;
+};
+
+const getJob = (id) => jobs.get(id) || null;
+
+const getActiveJob = () => activeJob;
+
+/**
+ * Request cancellation. The run stops cleanly before its next page.
+ */
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.status !== 'running') {
+    const error = new Error(`Ingestion job is already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  job.status = 'cancelling';
+  job.controller.abort();
+  logger.info(`Ingestion job ${job.id} cancellation requested`);
+  return job;
+};
+
+module.exports = { startIngestionJob, getJob, getActiveJob, cancelJob, serializeJob };
@@ -0,0 +1,32 @@
+const { holdLock, getLockHolder } = require('../services/lockService');
+const { runRetention } = require('../services/retentionService');
+
+// Cluster-wide lease so two instances never prune the same articles
+const LOCK_NAME = 'retention';
+const LOCK_TTL_MS = parseInt(process.env.RETENTION_LOCK_TTL_MS, 10) || 120000;
+
+/**
+ * Run retention under the cluster lock. Throws a 409 error when another
+ * run is already in progress.
+ */
+const runRetentionJob = async ({ dryRun = false } = {}) => {
+  // A dry run only reads, so it doesn't need the lock
+  if (dryRun) return runRetention({ dryRun });
+
+  const lease = await holdLock(LOCK_NAME, { ttlMs: LOCK_TTL_MS, meta: { startedAt: new Date() } });
+  if (!lease) {
+    const holder = await getLockHolder(LOCK_NAME);
+    const error = new Error('Retention already in progress');
+    error.status = 409;
+    error.lockOwner = holder?.owner;
+    throw error;
+  }
+
+  try {
+    return await runRetention({ dryRun });
+  } finally {
+    await lease.release();
+  }
+};
+
+module.exports = { runRetentionJob };
@@ -0,0 +1,43 @@
+const { verifyApiKey, hasScope } = require('../services/apiKeyService');
+
+const authError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Read an API key from `Authorization: Bearer <key>` or `X-API-Key` and
+ * attach the matching record as req.apiKey. Requests without a key pass
+ * through anonymously. A key that doesn't verify is recorded on
+ * req.authError and rejected by rejectInvalidKey, which runs after the
+ * per-IP rate limiter so bad keys can't be guessed at full speed.
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.get('authorization');
+  const key = header?.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+
+  if (!key) return next();
+
+  try {
+    const apiKey = await verifyApiKey(key);
+    if (apiKey) req.apiKey = apiKey;
+    else req.authError = authError(401, 'Invalid or revoked API key');
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectInvalidKey = (req, res, next) => next(req.authError);
+
+/**
+ * Require an authenticated key holding `scope` (admin implies every scope)
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) return next(authError(401, 'API key required'));
+  if (!hasScope(req.apiKey, scope)) return next(authError(403, `API key lacks the "${scope}" scope`));
+  next();
+};
+
+module.exports = { authenticate, rejectInvalidKey, requireScope };
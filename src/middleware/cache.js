@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { getCacheStore, getLastModified, syncCache, DEFAULT_TTL_MS } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+// Comma-separated multi-value filters whose order doesn't change the result
+const SET_PARAMS = ['language', 'country', 'category', 'datatype', 'source'];
+
+/**
+ * Cache key from the route path and its query params, independent of param
+ * order and of the order of values within multi-select filters
+ */
+const cacheKey = (req) => {
+  const params = Object.keys(req.query)
+    .sort()
+    .map((key) => {
+      let value = req.query[key];
+      if (Array.isArray(value)) value = value.join(',');
+      if (SET_PARAMS.includes(key)) value = String(value).split(',').filter(Boolean).sort().join(',');
+      return `${key}=${value}`;
+    });
+  return `${req.baseUrl}${req.path}?${params.join('&')}`;
+};
+
+const isFresh = (req, entry) => {
+  const ifNoneMatch = req.get('if-none-match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').map((tag) => tag.trim()).some((tag) => tag === entry.etag || tag === '*');
+  }
+  const ifModifiedSince = Date.parse(req.get('if-modified-since'));
+  return !isNaN(ifModifiedSince) && Math.floor(entry.lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+};
+
+const send = (req, res, entry, hit) => {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': new Date(entry.lastModified).toUTCString(),
+    'Cache-Control': 'no-cache',
+    'X-Cache': hit ? 'HIT' : 'MISS',
+  });
+  if (isFresh(req, entry)) return res.status(304).end();
+  res.status(entry.status).type('application/json').send(entry.body);
+};
+
+/**
+ * Serve GET responses from the response cache, with ETag/Last-Modified and
+ * conditional request support. Only successful JSON responses are stored.
+ */
+const cacheResponse = ({ ttlMs = DEFAULT_TTL_MS } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' || process.env.CACHE_ENABLED === 'false') return next();
+
+  await syncCache();
+  const key = cacheKey(req);
+  const store = getCacheStore();
+
+  try {
+    const cached = await store.get(key);
+    // Entries older than the current version may sit in a shared store another instance hasn't cleared
+    if (cached && cached.lastModified >= getLastModified().getTime()) return send(req, res, cached, true);
+  } catch (err) {
+    logger.warn(`Response cache read failed: ${err.message}`);
+  }
+
+  // Captured before the handler runs, so an invalidation mid-request isn't masked
+  const lastModified = getLastModified().getTime();
+
+  res.json = (data) => {
+    const body = JSON.stringify(data);
+
+    if (res.statusCode !== 200) {
+      return res.type('application/json').send(body);
+    }
+
+    const entry = {
+      status: 200,
+      body,
+      etag: `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+      lastModified,
+    };
+
+    if (getLastModified().getTime() === lastModified) {
+      Promise.resolve(store.set(key, entry, ttlMs))
+        .catch((err) => logger.warn(`Response cache write failed: ${err.message}`));
+    }
+
+    return send(req, res, entry, false);
+  };
+
+  next();
+};
+
+module.exports = { cacheResponse, cacheKey };
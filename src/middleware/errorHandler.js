@@ -23,6 +23,8 @@ const errorHandler = (err, req, res, next) => {
     message: process.env.NODE_ENV === 'production' && status === 500
       ? 'Internal Server Error'
       : message,
+    // Per-field validation failures (see middleware/validate.js)
+    ...(err.details && { errors: err.details }),
     ...(process.env.NODE_ENV !== 'production' && { stack: err.stack }),
   });
 };
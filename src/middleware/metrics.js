@@ -0,0 +1,42 @@
+const { observeRequest } = require('../services/metricsService');
+
+/**
+ * Mount next to a router (`app.use('/api/news', recordMountPath, router)`) so
+ * its path is known when the response finishes: by then Express has reset
+ * req.baseUrl for any request that went through next(err)
+ */
+const recordMountPath = (req, res, next) => {
+  req.mountPath = req.baseUrl;
+  next();
+};
+
+/**
+ * Route template for the metrics label ("/api/news/:id", not the raw URL) so
+ * label cardinality stays bounded; requests that matched no route share one
+ */
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const route = `${req.mountPath ?? req.baseUrl}${req.route.path}`;
+  return route.length > 1 ? route.replace(/\/$/, '') : route;
+};
+
+/**
+ * Record count and latency of every request once its response is sent
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const isStream = String(res.getHeader('Content-Type') || '').startsWith('text/event-stream');
+    observeRequest({
+      method: req.method,
+      route: routeLabel(req),
+      statusCode: res.statusCode,
+      durationSeconds: isStream ? undefined : Number(process.hrtime.bigint() - start) / 1e9,
+    });
+  });
+
+  next();
+};
+
+module.exports = { httpMetrics, recordMountPath };
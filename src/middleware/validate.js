@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/timeBuckets');
+
+/**
+ * Request validation against the declarative route schemas in src/schemas.
+ *
+ * A schema lists its `params` and `query` as { name: rule } where a rule is a
+ * JSON-Schema-like subset: type (string|integer|number|boolean|array), enum,
+ * minimum, maximum, maxLength, pattern, format (date|objectid|uuid|timezone),
+ * items (for arrays), required, allowEmpty and default. The same rules are turned into
+ * the OpenAPI document (utils/openapi.js), so what is documented is what is
+ * enforced.
+ *
+ * Query values are coerced to their declared types, defaults are filled in
+ * and unknown parameters are dropped before req.query is replaced. Any
+ * failures are reported together as a 400 with one entry per field.
+ */
+
+const FORMATS = {
+  date: {
+    test: (value) => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+      if (!match) return false;
+      const date = new Date(`${value}T00:00:00.000Z`);
+      return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    },
+    message: 'must be a valid YYYY-MM-DD date',
+  },
+  objectid: {
+    test: (value) => mongoose.isValidObjectId(value) && /^[a-f\d]{24}$/i.test(value),
+    message: 'must be a 24-character hex id',
+  },
+  uuid: {
+    test: (value) => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(value),
+    message: 'must be a UUID',
+  },
+  timezone: {
+    test: (value) => isValidTimezone(value),
+    message: 'must be an IANA timezone such as Europe/Amsterdam',
+  },
+};
+
+const checkScalar = (rule, raw) => {
+  let value = raw;
+
+  switch (rule.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(raw)) return { error: 'must be an integer' };
+      value = parseInt(raw, 10);
+      break;
+    case 'number':
+      value = Number(raw);
+      if (raw === '' || !Number.isFinite(value)) return { error: 'must be a number' };
+      break;
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') return { error: 'must be true or false' };
+      value = raw === 'true';
+      break;
+    default:
+      if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !new RegExp(rule.pattern).test(raw)) return { error: `must match ${rule.pattern}` };
+      if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format].test(raw)) {
+        return { error: FORMATS[rule.format].message };
+      }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+  if (rule.minimum !== undefined && value < rule.minimum) return { error: `must be at least ${rule.minimum}` };
+  if (rule.maximum !== undefined && value > rule.maximum) return { error: `must be at most ${rule.maximum}` };
+
+  return { value };
+};
+
+/**
+ * Check one value against its rule. Returns { value } or { error }.
+ */
+const checkValue = (rule, raw) => {
+  if (rule.type === 'array') {
+    // Accept both ?x=a,b and ?x=a&x=b
+    const items = (Array.isArray(raw) ? raw : [raw])
+      .flatMap((part) => String(part).split(','))
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+      return { error: `must have at most ${rule.maxItems} values` };
+    }
+
+    const values = [];
+    for (const item of items) {
+      const result = checkScalar(rule.items || { type: 'string' }, item);
+      if (result.error) return { error: `"${item}" ${result.error}` };
+      values.push(result.value);
+    }
+    return { value: values };
+  }
+
+  if (Array.isArray(raw) || (raw !== null && typeof raw === 'object')) return { error: 'must be a single value' };
+  return checkScalar(rule, String(raw));
+};
+
+/**
+ * Validate one request section (params or query) against its rules
+ */
+const validateSection = (rules, input = {}, location) => {
+  const values = {};
+  const errors = [];
+
+  Object.entries(rules).forEach(([field, rule]) => {
+    const raw = input[field];
+
+    if (raw === undefined || (raw === '' && !rule.allowEmpty)) {
+      if (rule.required) errors.push({ field, in: location, message: 'is required' });
+      else if (rule.default !== undefined) values[field] = rule.default;
+      return;
+    }
+
+    const { value, error } = checkValue(rule, raw);
+    if (error) errors.push({ field, in: location, message: error });
+    else values[field] = value;
+  });
+
+  return { values, errors };
+};
+
+const validationError = (errors) => {
+  const error = new Error(
+    `Invalid request: ${errors.map((e) => `${e.field} ${e.message}`).join('; ')}`
+  );
+  error.status = 400;
+  error.details = errors;
+  return error;
+};
+
+/**
+ * Express middleware enforcing `schema` (see src/schemas/news.js). A
+ * schema's optional `check(query)` returns cross-field errors.
+ */
+const validate = (schema) => (req, res, next) => {
+  const params = validateSection(schema.params || {}, req.params, 'path');
+  const query = validateSection(schema.query || {}, req.query, 'query');
+  const errors = [...params.errors, ...query.errors];
+
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(query.values).map(({ field, message }) => ({ field, in: 'query', message })));
+  }
+
+  if (errors.length > 0) return next(validationError(errors));
+
+  req.query = query.values;
+  next();
+};
+
+module.exports = { validate, validationError, checkValue };
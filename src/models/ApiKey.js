@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // First characters of the key, kept in clear so keys can be told apart
+    prefix: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the full key; the key itself is never stored
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      enum: ["reader", "admin"],
+      default: ["reader"],
+    },
+    // Requests per rate-limit window; null uses API_KEY_RATE_LIMIT
+    rateLimit: {
+      type: Number,
+      default: null,
+    },
+    lastUsedAt: Date,
+    rotatedAt: Date,
+    revokedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
@@ -57,16 +57,59 @@ const articleSchema = new mongoose.Schema(
       type: String,
       index: true,
     },
-    ai_tag: [String],
-    sentiment: String,
+    ai_tag: {
+      type: [String],
+      index: true,
+    },
+    sentiment: {
+      type: String,
+      index: true,
+    },
     sentiment_stats: mongoose.Schema.Types.Mixed,
     ai_region: [String],
     ai_org: [String],
+    // Set once enrichmentService has filled the fields above
+    enrichedAt: Date,
+    // Set when restored from a retention archive; retention leaves these alone
+    restoredAt: Date,
     duplicate: Boolean,
     datatype: {
       type: String,
       index: true,
     },
+    provider: {
+      type: String,
+      default: "newsdata",
+      index: true,
+    },
+    // MinHash signature and LSH band keys used for near-duplicate clustering
+    fingerprint: {
+      type: [Number],
+      select: false,
+    },
+    fingerprint_bands: {
+      type: [String],
+      select: false,
+    },
+    cluster_id: {
+      type: String,
+      index: true,
+    },
+    // Readable text fetched from `link` by the extraction worker
+    extraction: {
+      status: {
+        type: String,
+        enum: ["success", "retry", "failed", "blocked", "skipped"],
+      },
+      content: String,
+      image_url: String,
+      byline: String,
+      length: Number,
+      attempts: Number,
+      error: String,
+      extractedAt: Date,
+      nextAttemptAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -79,6 +122,8 @@ articleSchema.index({ pubDate: -1, language: 1 });
 articleSchema.index({ pubDate: -1, category: 1 });
 articleSchema.index({ pubDate: -1, country: 1 });
 articleSchema.index({ creator: 1, pubDate: -1 });
+articleSchema.index({ fingerprint_bands: 1, pubDate: -1 });
+articleSchema.index({ "extraction.status": 1, "extraction.nextAttemptAt": 1 });
 articleSchema.index({ title: "text", description: "text", content: "text" });
 
 const Article = mongoose.model("Article", articleSchema);
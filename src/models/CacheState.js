@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Shared response-cache version. Any instance that changes articles bumps
+// `lastModified`; the others drop their cached responses when they see it move.
+const cacheStateSchema = new mongoose.Schema(
+  {
+    _id: String,
+    lastModified: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    versionKey: false,
+  },
+);
+
+const CacheState = mongoose.model("CacheState", cacheStateSchema);
+
+module.exports = CacheState;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Per provider batch pagination state carried between ingestion runs
+const ingestionCursorSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    batchKey: {
+      type: String,
+      required: true,
+    },
+    // Page token to resume from when the previous run stopped mid-batch
+    resumeCursor: {
+      type: String,
+      default: null,
+    },
+    // Newest pubDate stored for this batch; a fresh walk stops once it reaches it
+    newestPubDate: Date,
+    lastRunAt: Date,
+    lastStatus: {
+      type: String,
+      enum: ["success", "failed", "cancelled"],
+    },
+    lastError: String,
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+ingestionCursorSchema.index({ provider: 1, batchKey: 1 }, { unique: true });
+
+const IngestionCursor = mongoose.model("IngestionCursor", ingestionCursorSchema);
+
+module.exports = IngestionCursor;
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const batchSchema = new mongoose.Schema(
+  {
+    provider: String,
+    key: String,
+    pages: { type: Number, default: 0 },
+    fetched: { type: Number, default: 0 },
+    upserted: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 },
+    resumedFrom: String,
+    stoppedEarly: { type: Boolean, default: false },
+    error: String,
+  },
+  { _id: false },
+);
+
+const runErrorSchema = new mongoose.Schema(
+  {
+    provider: String,
+    batch: String,
+    status: Number,
+    message: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const ingestionRunSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["cron", "startup", "manual"],
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "partial", "failed", "cancelled", "skipped"],
+      default: "running",
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    finishedAt: Date,
+    durationMs: Number,
+    providers: { type: [String], default: [] },
+    batches: { type: [batchSchema], default: [] },
+    pages: { type: Number, default: 0 },
+    upserted: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 },
+    // Per field count of placeholder or mistyped values that were normalized
+    normalizedFields: { type: Map, of: Number, default: {} },
+    apiErrors: { type: [runErrorSchema], default: [] },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+ingestionRunSchema.index({ startedAt: -1, status: 1 });
+
+const IngestionRun = mongoose.model("IngestionRun", ingestionRunSchema);
+
+module.exports = IngestionRun;
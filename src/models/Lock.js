@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Lease-style distributed lock. `_id` is the lock name; a lease whose
+// `expiresAt` has passed is free to be taken over by another instance.
+const lockSchema = new mongoose.Schema(
+  {
+    _id: String,
+    owner: {
+      type: String,
+      required: true,
+    },
+    acquiredAt: Date,
+    heartbeatAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    meta: mongoose.Schema.Types.Mixed,
+  },
+  {
+    versionKey: false,
+  },
+);
+
+const Lock = mongoose.model("Lock", lockSchema);
+
+module.exports = Lock;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Key that created the search; only it (and admin keys) can see or change it.
+    // Searches saved before ownership was recorded belong to admins only.
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      index: true,
+    },
+    // Any combination of the params buildQuery accepts
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    webhookUrl: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // HMAC key for signing deliveries; only returned when created or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    lastMatchedAt: Date,
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    minimize: false,
+  },
+);
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+
+module.exports = SavedSearch;
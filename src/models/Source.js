@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const sourceSchema = new mongoose.Schema(
+  {
+    source_id: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    name: String,
+    url: String,
+    icon: String,
+    // Upstream source_priority (lower is more prominent on NewsData.io)
+    priority: Number,
+    // Replaces the upstream priority on articles ingested from this source
+    priorityOverride: {
+      type: Number,
+      default: null,
+    },
+    // "blocked" sources are dropped at ingestion; with SOURCE_POLICY=allowlist
+    // only "allowed" sources are kept
+    status: {
+      type: String,
+      enum: ["default", "allowed", "blocked"],
+      default: "default",
+      index: true,
+    },
+    note: String,
+    articleCount: {
+      type: Number,
+      default: 0,
+    },
+    firstSeenAt: Date,
+    lastSeenAt: {
+      type: Date,
+      index: true,
+    },
+    categories: { type: [String], default: [] },
+    languages: { type: [String], default: [] },
+    providers: { type: [String], default: [] },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+sourceSchema.index({ articleCount: -1 });
+sourceSchema.index({ name: "text", source_id: "text" });
+
+const Source = mongoose.model("Source", sourceSchema);
+
+module.exports = Source;
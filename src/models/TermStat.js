@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Document frequency of a keyword term, used as the IDF side of TF-IDF.
+// `_id` is "<language>:<term>"; "<language>:*" counts the documents seen.
+const termStatSchema = new mongoose.Schema(
+  {
+    _id: String,
+    df: {
+      type: Number,
+      default: 0,
+    },
+    // Last time an article containing the term was enriched
+    seenAt: Date,
+  },
+  {
+    versionKey: false,
+  },
+);
+
+termStatSchema.index({ df: 1, seenAt: 1 });
+
+const TermStat = mongoose.model("TermStat", termStatSchema);
+
+module.exports = TermStat;
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    savedSearch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedSearch",
+      required: true,
+      index: true,
+    },
+    runId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "IngestionRun",
+    },
+    url: String,
+    articleIds: { type: [String], default: [] },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    responseStatus: Number,
+    error: String,
+    deliveredAt: Date,
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  },
+);
+
+webhookDeliverySchema.index({ createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
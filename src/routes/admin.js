@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const { createApiKey, rotateApiKey, revokeApiKey, listApiKeys } = require('../services/apiKeyService');
+const { updateSourcePolicy } = require('../services/sourceService');
+const { previewRetention, listArchives, restoreArchive } = require('../services/retentionService');
+const { runRetentionJob } = require('../jobs/retentionJob');
+const { invalidateCache } = require('../utils/cache');
+
+router.use(requireScope('admin'));
+
+// ─── API Keys ─────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/keys
+ */
+router.get('/keys', async (req, res, next) => {
+  try {
+    const keys = await listApiKeys();
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Body: { name, scopes?: ['reader'|'admin'], rateLimit? }. The raw key is only returned here.
+ */
+router.post('/keys', async (req, res, next) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.body || {});
+    res.status(201).json({ success: true, data: { ...apiKey, key } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/keys/:id/rotate
+ * Issue a new secret for an existing key; the old one stops working immediately
+ */
+router.post('/keys/:id/rotate', async (req, res, next) => {
+  try {
+    const result = await rotateApiKey(req.params.id);
+    if (!result) return res.status(404).json({ success: false, message: 'API key not found' });
+    res.json({ success: true, data: { ...result.apiKey, key: result.key } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke a key
+ */
+router.delete('/keys/:id', async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) return res.status(404).json({ success: false, message: 'API key not found' });
+    res.json({ success: true, message: 'API key revoked', data: apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Sources ──────────────────────────────────────────────────────────────────
+
+/**
+ * PATCH /api/admin/sources/:sourceId
+ * Body: any of { status: 'default'|'allowed'|'blocked', priorityOverride, note, purge }.
+ * `purge: true` with status "blocked" also deletes the source's stored articles.
+ */
+router.patch('/sources/:sourceId', async (req, res, next) => {
+  try {
+    const { status, priorityOverride, note, purge } = req.body || {};
+    const result = await updateSourcePolicy(req.params.sourceId, { status, priorityOverride, note, purge: purge === true });
+
+    await invalidateCache();
+    res.json({ success: true, data: result.source, purged: result.purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ─── Retention ────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/admin/retention
+ * The active retention policy and what the next run would prune
+ */
+router.get('/retention', async (req, res, next) => {
+  try {
+    const preview = await previewRetention();
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/retention/run
+ * Body: { dryRun?: boolean }. Archives and deletes expired articles now.
+ */
+router.post('/retention/run', async (req, res, next) => {
+  try {
+    const result = await runRetentionJob({ dryRun: req.body?.dryRun === true });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/archives
+ */
+router.get('/archives', async (req, res, next) => {
+  try {
+    const archives = await listArchives();
+    res.json({ success: true, data: archives });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/archives/:name/restore
+ * Re-insert an archive's articles; ones already present are skipped. Restored
+ * articles are exempt from retention from then on.
+ */
+router.post('/archives/:name/restore', async (req, res, next) => {
+  try {
+    const result = await restoreArchive(req.params.name);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
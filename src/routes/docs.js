@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { escapeXml: escapeHtml } = require('../services/exportService');
+
+// The spec only changes with the code, so build it once
+let spec = null;
+const getSpec = () => {
+  if (!spec) spec = buildOpenApiSpec();
+  return spec;
+};
+
+const METHOD_COLORS = { get: '#2f7d32', post: '#1565c0', patch: '#8e24aa', delete: '#c62828' };
+
+// `code` spans in descriptions; everything else is escaped
+const inline = (text = '') => escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+const describeSchema = (schema = {}) => {
+  if (schema.type === 'array') return `${describeSchema(schema.items)}[] (comma-separated)`;
+  const parts = [schema.format ? `${schema.type} (${schema.format})` : schema.type];
+  if (schema.enum) parts.push(`one of ${schema.enum.join(' | ')}`);
+  if (schema.minimum !== undefined || schema.maximum !== undefined) {
+    parts.push(`${schema.minimum ?? ''}..${schema.maximum ?? ''}`);
+  }
+  return parts.join(', ');
+};
+
+const renderOperation = (path, method, op) => `
+  <section class="op" id="${escapeHtml(op.operationId)}">
+    <h3><span class="method" style="background:${METHOD_COLORS[method] || '#555'}">${method.toUpperCase()}</span>
+      <code>${escapeHtml(path)}</code></h3>
+    <p>${inline(op.summary)}</p>
+    ${op.description ? `<p class="desc">${inline(op.description).replace(/\n\n/g, '<br>')}</p>` : ''}
+    ${op.parameters ? `
+    <table>
+      <thead><tr><th>Parameter</th><th>In</th><th>Type</th><th>Default</th><th>Description</th></tr></thead>
+      <tbody>${op.parameters.map((p) => `
+        <tr>
+          <td><code>${escapeHtml(p.name)}</code>${p.required ? ' <span class="req">required</span>' : ''}</td>
+          <td>${p.in}</td>
+          <td>${escapeHtml(describeSchema(p.schema))}</td>
+          <td>${p.schema.default !== undefined ? `<code>${escapeHtml(JSON.stringify(p.schema.default))}</code>` : ''}</td>
+          <td>${inline(p.description)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>` : ''}
+    <p class="responses">Responses: ${Object.keys(op.responses).map((code) => `<code>${code}</code>`).join(' ')}</p>
+  </section>`;
+
+/**
+ * Self-contained HTML rendering of the spec (no scripts or CDN assets, so
+ * it works under the default helmet CSP)
+ */
+const renderDocs = (doc) => {
+  const byTag = {};
+  Object.entries(doc.paths).forEach(([path, methods]) => {
+    Object.entries(methods).forEach(([method, op]) => {
+      (byTag[op.tags[0]] = byTag[op.tags[0]] || []).push(renderOperation(path, method, op));
+    });
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.info.title)} — API docs</title>
+<style>
+  body { font: 15px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 1000px; padding: 2rem; color: #222; }
+  h2 { border-bottom: 1px solid #ddd; margin-top: 2.5rem; }
+  .op { border: 1px solid #e3e3e3; border-radius: 6px; padding: 0 1rem 0.5rem; margin: 1rem 0; }
+  .method { color: #fff; border-radius: 4px; padding: 0.1rem 0.5rem; font-size: 0.8rem; margin-right: 0.5rem; }
+  .desc { color: #555; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; border-bottom: 1px solid #eee; padding: 0.3rem 0.5rem; vertical-align: top; }
+  .req { color: #c62828; font-size: 0.75rem; }
+  code { background: #f4f4f4; padding: 0 0.2rem; border-radius: 3px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.info.title)} <small>v${escapeHtml(doc.info.version)}</small></h1>
+<p>${inline(doc.info.description)}</p>
+<p>Machine-readable spec: <a href="/api/docs/openapi.json"><code>/api/docs/openapi.json</code></a> (OpenAPI ${doc.openapi})</p>
+${Object.entries(byTag).map(([tag, ops]) => `<h2>${escapeHtml(tag)}</h2>${ops.join('')}`).join('\n')}
+</body>
+</html>
+`;
+};
+
+let html = null;
+
+/**
+ * GET /api/docs/openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+/**
+ * GET /api/docs
+ * Browsable API reference
+ */
+router.get('/', (req, res) => {
+  if (!html) html = renderDocs(getSpec());
+  res.type('html').send(html);
+});
+
+module.exports = router;
@@ -1,85 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const Article = require('../models/Article');
-const { getFilterOptions } = require('../services/newsService');
-const { triggerManualIngestion } = require('../jobs/cronJob');
+const { getFilterOptions, getIngestionRuns, getIngestionRun } = require('../services/newsService');
+const { getRelatedArticles } = require('../services/storyClustering');
+const { getExportFormat, EXPORT_MAX_ROWS } = require('../services/exportService');
+const { addClient } = require('../services/streamService');
+const { getTrending } = require('../services/trendingService');
+const { getTimeseries } = require('../services/statsService');
+const { listSources } = require('../services/sourceService');
+const { getFacets } = require('../services/facetService');
+const { encodeCursor, decodeCursor, keysetFilter, applyKeyset } = require('../utils/pagination');
+const { startIngestionJob, getJob, cancelJob, serializeJob } = require('../jobs/ingestionJobs');
+const { buildQuery } = require('../utils/buildQuery');
+const { requireScope } = require('../middleware/auth');
+const { cacheResponse } = require('../middleware/cache');
+const { validate } = require('../middleware/validate');
+const { schemas } = require('../schemas/news');
 const logger = require('../utils/logger');
 
-/**
- * Build a MongoDB query object from request query params
- */
-const buildQuery = (queryParams) => {
-  const {
-    startDate,
-    endDate,
-    author,
-    language,
-    country,
-    category,
-    datatype,
-    search,
-  } = queryParams;
-
-  const query = {};
-
-  // Date range filter
-  if (startDate || endDate) {
-    query.pubDate = {};
-    if (startDate) {
-      // date-only string "YYYY-MM-DD" → treat as UTC midnight
-      query.pubDate.$gte = new Date(startDate + 'T00:00:00.000Z');
-    }
-    if (endDate) {
-      // end of that day in UTC (23:59:59.999)
-      query.pubDate.$lte = new Date(endDate + 'T23:59:59.999Z');
-    }
-  }
-
-  // Author filter (case-insensitive partial match)
-  if (author && author.trim()) {
-    query.creator = { $elemMatch: { $regex: author.trim(), $options: 'i' } };
-  }
-
-  // Language filter
-  if (language) {
-    const langs = Array.isArray(language) ? language : language.split(',');
-    query.language = { $in: langs.filter(Boolean) };
-  }
-
-  // Country filter
-  if (country) {
-    const countries = Array.isArray(country) ? country : country.split(',');
-    query.country = { $in: countries.filter(Boolean) };
-  }
-
-  // Category multi-select (AND logic: article must have ALL selected categories)
-  if (category) {
-    const categories = Array.isArray(category) ? category : category.split(',');
-    const filtered = categories.filter(Boolean);
-    if (filtered.length > 0) {
-      query.category = { $in: filtered };
-    }
-  }
-
-  // Content type / datatype
-  if (datatype) {
-    const types = Array.isArray(datatype) ? datatype : datatype.split(',');
-    query.datatype = { $in: types.filter(Boolean) };
-  }
-
-  // Full-text search
-  if (search && search.trim()) {
-    query.$text = { $search: search.trim() };
-  }
-
-  return query;
+// Use projection to avoid sending huge content in list views
+const LIST_PROJECTION = {
+  article_id: 1,
+  title: 1,
+  description: 1,
+  link: 1,
+  creator: 1,
+  pubDate: 1,
+  source_name: 1,
+  source_icon: 1,
+  image_url: 1,
+  category: 1,
+  country: 1,
+  language: 1,
+  datatype: 1,
+  sentiment: 1,
+  cluster_id: 1,
 };
 
 /**
- * GET /api/news/debug
- * Inspect stored pubDates and test a date range query — remove in production
+ * GET /api/news/debug (admin)
+ * Inspect stored pubDates and test a date range query
  */
-router.get('/debug', async (req, res, next) => {
+router.get('/debug', requireScope('admin'), validate(schemas.debug), async (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -118,53 +80,146 @@ router.get('/debug', async (req, res, next) => {
 });
 
 
-router.get('/', async (req, res, next) => {
+/**
+ * Aggregation stages collapsing each story cluster to its first article in
+ * sort order. With `relevance` the $text score is kept as `score`.
+ */
+const collapseStages = (query, sortOptions, { relevance = false } = {}) => [
+  { $match: query },
+  ...(relevance ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+  { $sort: sortOptions },
+  {
+    $group: {
+      _id: { $ifNull: ['$cluster_id', '$article_id'] },
+      doc: { $first: '$$ROOT' },
+      cluster_size: { $sum: 1 },
+    },
+  },
+  { $replaceRoot: { newRoot: { $mergeObjects: ['$doc', { cluster_size: '$cluster_size' }] } } },
+];
+
+/**
+ * GET /api/news
+ * Offset pagination (page/limit) by default; pass `cursor` (empty for the
+ * first page) or `pagination=cursor` for keyset pagination via `nextCursor`.
+ * `facets=category,language,...` adds per-value counts for the current filters.
+ * `sortBy=relevance` ranks by text score (offset mode only).
+ */
+router.get('/', validate(schemas.list), cacheResponse(), async (req, res, next) => {
   try {
     const {
-      page = 1,
-      limit = 20,
-      sortBy = 'pubDate',
-      sortOrder = 'desc',
+      page: pageNum,
+      limit: limitNum,
+      sortBy,
+      sortOrder,
       search,
+      collapse: collapsed,
+      cursor,
+      pagination,
+      includeTotal,
+      facets,
+      facetLimit,
       ...filters
     } = req.query;
 
-    const pageNum = Math.max(1, parseInt(page, 10));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10)));
+    const query = buildQuery({ ...filters, search });
+    const sortDir = sortOrder === 'asc' ? 1 : -1;
+
+    // Runs alongside whichever page query below; awaited before responding
+    const facetCounts = facets?.length
+      ? getFacets({ ...filters, search }, facets, { limit: facetLimit, collapse: collapsed })
+      : Promise.resolve(undefined);
+    // Don't let a failure here go unhandled if the page query throws first
+    facetCounts.catch(() => {});
+
+    // ─── Keyset mode ──────────────────────────────────────────────────────────
+    if (cursor !== undefined || pagination === 'cursor') {
+      const sortOptions = { [sortBy]: sortDir, _id: sortDir };
+      const keyset = cursor ? keysetFilter(sortBy, sortDir, decodeCursor(cursor, sortBy, sortDir)) : null;
+      const projection = { ...LIST_PROJECTION, [sortBy]: 1, ...(collapsed && { cluster_size: 1 }) };
+
+      const [rows, total] = await Promise.all([
+        collapsed
+          ? Article.aggregate([
+            ...collapseStages(query, sortOptions),
+            ...(keyset ? [{ $match: keyset }] : []),
+            { $sort: sortOptions },
+            { $limit: limitNum + 1 },
+            { $project: projection },
+          ]).allowDiskUse(true)
+          : Article.find(keyset ? applyKeyset(query, keyset) : query, projection)
+            .sort(sortOptions)
+            .limit(limitNum + 1)
+            .lean(),
+        includeTotal
+          ? (collapsed
+            ? Article.aggregate([...collapseStages(query, sortOptions), { $count: 'count' }])
+              .allowDiskUse(true)
+              .then(([r]) => r?.count || 0)
+            : Article.countDocuments(query))
+          : undefined,
+      ]);
+
+      const hasNextPage = rows.length > limitNum;
+      const articles = hasNextPage ? rows.slice(0, limitNum) : rows;
+      const facetResult = await facetCounts;
+
+      return res.json({
+        success: true,
+        data: articles,
+        pagination: {
+          limit: limitNum,
+          nextCursor: hasNextPage ? encodeCursor(articles[articles.length - 1], sortBy, sortDir) : null,
+          hasNextPage,
+          ...(total !== undefined && { total }),
+        },
+        ...(facetResult && { facets: facetResult }),
+      });
+    }
+
+    // ─── Offset mode ──────────────────────────────────────────────────────────
     const skip = (pageNum - 1) * limitNum;
 
-    const query = buildQuery({ ...filters, search });
+    // Relevance needs a $text search to score against; without one, newest first
+    const relevance = sortBy === 'relevance' && Boolean(query.$text);
+    const sortField = sortBy === 'relevance' ? 'pubDate' : sortBy;
 
-    const sortDir = sortOrder === 'asc' ? 1 : -1;
-    const sortOptions = { [sortBy]: sortDir };
-    if (sortBy !== 'pubDate') sortOptions.pubDate = -1;
-
-    // Use projection to avoid sending huge content in list view
-    const projection = {
-      article_id: 1,
-      title: 1,
-      description: 1,
-      link: 1,
-      creator: 1,
-      pubDate: 1,
-      source_name: 1,
-      source_icon: 1,
-      image_url: 1,
-      category: 1,
-      country: 1,
-      language: 1,
-      datatype: 1,
-      sentiment: 1,
-    };
-
-    const [articles, total] = await Promise.all([
-      Article.find(query, projection)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
-        .lean(),
-      Article.countDocuments(query),
-    ]);
+    const sortOptions = relevance ? { score: -1 } : { [sortField]: sortDir };
+    if (sortField !== 'pubDate' || relevance) sortOptions.pubDate = -1;
+
+    let articles;
+    let total;
+
+    if (collapsed) {
+      const [result] = await Article.aggregate([
+        ...collapseStages(query, sortOptions, { relevance }),
+        { $sort: sortOptions },
+        {
+          $facet: {
+            data: [
+              { $skip: skip },
+              { $limit: limitNum },
+              { $project: { ...LIST_PROJECTION, cluster_size: 1, ...(relevance && { score: 1 }) } },
+            ],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]).allowDiskUse(true);
+      articles = result.data;
+      total = result.total[0]?.count || 0;
+    } else {
+      const score = { $meta: 'textScore' };
+      [articles, total] = await Promise.all([
+        Article.find(query, relevance ? { ...LIST_PROJECTION, score } : LIST_PROJECTION)
+          .sort(relevance ? { score, pubDate: -1 } : sortOptions)
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        Article.countDocuments(query),
+      ]);
+    }
+
+    const facetResult = await facetCounts;
 
     res.json({
       success: true,
@@ -177,17 +232,119 @@ router.get('/', async (req, res, next) => {
         hasNextPage: pageNum < Math.ceil(total / limitNum),
         hasPrevPage: pageNum > 1,
       },
+      ...(facetResult && { facets: facetResult }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const FEED_DEFAULT_ITEMS = 50;
+
+/**
+ * GET /api/news/export?format=csv|ndjson|rss|atom
+ * Streams every article matching the list filters through a MongoDB cursor
+ */
+router.get('/export', validate(schemas.export), async (req, res, next) => {
+  try {
+    const {
+      format,
+      fields,
+      limit,
+      sortBy,
+      sortOrder,
+      search,
+      ...filters
+    } = req.query;
+
+    const { formatter, fields: selected, isFeed } = getExportFormat(format, fields);
+    const query = buildQuery({ ...filters, search });
+    const maxRows = limit || (isFeed ? FEED_DEFAULT_ITEMS : EXPORT_MAX_ROWS);
+
+    const sortDir = sortOrder === 'asc' ? 1 : -1;
+    const cursor = Article.find(query, Object.fromEntries(selected.map((f) => [f, 1])))
+      .sort({ [sortBy]: sortDir, _id: sortDir })
+      .limit(maxRows)
+      .lean()
+      .cursor();
+
+    req.on('close', () => cursor.close().catch(() => {}));
+
+    const filterSummary = Object.entries({ ...filters, ...(search && { search }) })
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(', ');
+
+    res.status(200).type(formatter.contentType);
+    if (!isFeed) {
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.attachment(`news-export-${stamp}.${formatter.extension}`);
+    }
+
+    res.write(formatter.head({
+      title: filterSummary ? `News — ${filterSummary}` : 'News',
+      description: 'Articles collected by the news aggregator',
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    }));
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(formatter.row(doc))) {
+        // Wait for the client to catch up (or go away) before reading on
+        await new Promise((resolve) => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.on('drain', done);
+          res.on('close', done);
+        });
+      }
+    }
+
+    res.end(formatter.tail());
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error(`Export failed mid-stream: ${error.message}`);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/stream
+ * Server-Sent Events: newly ingested articles matching the list filters,
+ * ingestion start/finish events and heartbeats. Resumes from Last-Event-ID.
+ */
+router.get('/stream', validate(schemas.stream), async (req, res, next) => {
+  try {
+    const { lastEventId, ...filters } = req.query;
+
+    const opened = await addClient(req, res, {
+      query: buildQuery(filters),
+      projection: LIST_PROJECTION,
+      lastEventId: req.get('last-event-id') || lastEventId,
     });
+
+    if (!opened) {
+      return res.status(503).json({ success: false, message: 'Too many open streams. Please try again later.' });
+    }
   } catch (error) {
+    if (res.headersSent) {
+      logger.error(`Stream setup failed: ${error.message}`);
+      return res.end();
+    }
     next(error);
   }
 });
 
 /**
  * GET /api/news/filters
- * Get distinct values for all filter dropdowns
+ * Get distinct values for all filter dropdowns. For counts that follow the
+ * user's current selection, use GET /api/news?facets=... instead.
  */
-router.get('/filters', async (req, res, next) => {
+router.get('/filters', validate(schemas.filters), cacheResponse(), async (req, res, next) => {
   try {
     const options = await getFilterOptions();
     res.json({ success: true, data: options });
@@ -200,7 +357,7 @@ router.get('/filters', async (req, res, next) => {
  * GET /api/news/stats
  * Dashboard stats
  */
-router.get('/stats', async (req, res, next) => {
+router.get('/stats', validate(schemas.stats), cacheResponse(), async (req, res, next) => {
   try {
     const [total, last24h, byCategory, byLanguage] = await Promise.all([
       Article.countDocuments(),
@@ -227,11 +384,100 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/news/sources
+ * Source registry: article counts, last seen, categories covered
+ */
+router.get('/sources', validate(schemas.sources), cacheResponse(), async (req, res, next) => {
+  try {
+    const { page: pageNum, limit: limitNum, status, search, sortBy } = req.query;
+
+    const { sources, total } = await listSources({ page: pageNum, limit: limitNum, status, search, sortBy });
+
+    res.json({
+      success: true,
+      data: sources,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/stats/timeseries?interval=hour|day|week&groupBy=category|language|country|source_id
+ * Zero-filled article counts per bucket; accepts the list filters plus `timezone`
+ */
+router.get('/stats/timeseries', validate(schemas.timeseries), cacheResponse(), async (req, res, next) => {
+  try {
+    const { interval, groupBy, timezone, top, ...filters } = req.query;
+
+    const data = await getTimeseries({ interval, groupBy, timezone, top, filters });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/trending
+ * Terms spiking in the last `window` hours relative to the preceding `baseline` days
+ */
+router.get('/trending', validate(schemas.trending), cacheResponse(), async (req, res, next) => {
+  try {
+    const { window, baseline, limit, minCount, samples, language, category, country } = req.query;
+
+    const data = await getTrending({
+      windowHours: window,
+      baselineDays: baseline,
+      limit,
+      minCount,
+      samples,
+      filters: { language, category, country },
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/:id/related
+ * Other articles in the same story cluster, plus text-similar articles
+ */
+router.get('/:id/related', validate(schemas.related), async (req, res, next) => {
+  try {
+    const article = await Article.findOne(
+      { article_id: req.params.id },
+      { article_id: 1, title: 1, language: 1, cluster_id: 1 }
+    ).lean();
+
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found' });
+    }
+
+    const related = await getRelatedArticles(article, { limit: req.query.limit, projection: LIST_PROJECTION });
+
+    res.json({ success: true, data: related });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/news/:id
  * Single article by article_id
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', validate(schemas.article), cacheResponse(), async (req, res, next) => {
   try {
     const article = await Article.findOne({ article_id: req.params.id }).lean();
 
@@ -239,6 +485,14 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Article not found' });
     }
 
+    // Fill gaps in the provider's record from the extracted page
+    const { extraction } = article;
+    if (extraction?.status === 'success') {
+      article.content = article.content || extraction.content;
+      article.image_url = article.image_url || extraction.image_url;
+      if (!article.creator?.length && extraction.byline) article.creator = [extraction.byline];
+    }
+
     res.json({ success: true, data: article });
   } catch (error) {
     next(error);
@@ -247,17 +501,103 @@ router.get('/:id', async (req, res, next) => {
 
 /**
  * POST /api/news/ingest (admin/manual trigger)
+ * Starts ingestion in the background; poll GET /api/news/ingest/:jobId
  */
-router.post('/ingest', async (req, res, next) => {
+router.post('/ingest', requireScope('admin'), validate(schemas.startIngestion), async (req, res, next) => {
   try {
-    const result = await triggerManualIngestion();
-    res.json({ success: true, message: 'Ingestion complete', data: result });
+    const job = await startIngestionJob({ trigger: 'manual' });
+    res
+      .status(202)
+      .location(`${req.baseUrl}/ingest/${job.id}`)
+      .json({ success: true, message: 'Ingestion started', data: serializeJob(job) });
   } catch (error) {
-    if (error.message === 'Ingestion already in progress') {
-      return res.status(409).json({ success: false, message: error.message });
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        jobId: error.jobId,
+        lockOwner: error.lockOwner,
+      });
     }
     next(error);
   }
 });
 
+/**
+ * GET /api/news/ingest/runs
+ * Ingestion run history, newest first
+ */
+router.get('/ingest/runs', requireScope('admin'), validate(schemas.ingestionRuns), async (req, res, next) => {
+  try {
+    const { page: pageNum, limit: limitNum, status, trigger } = req.query;
+
+    const { runs, total } = await getIngestionRuns({ page: pageNum, limit: limitNum, status, trigger });
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasNextPage: pageNum < Math.ceil(total / limitNum),
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/ingest/runs/:id
+ * Single ingestion run with per-batch details
+ */
+router.get('/ingest/runs/:id', requireScope('admin'), validate(schemas.ingestionRun), async (req, res, next) => {
+  try {
+    const run = await getIngestionRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Ingestion run not found' });
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/news/ingest/:jobId
+ * Progress of an ingestion job
+ */
+router.get('/ingest/:jobId', requireScope('admin'), validate(schemas.ingestionJob), (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Ingestion job not found' });
+  }
+
+  res.json({ success: true, data: serializeJob(job) });
+});
+
+/**
+ * DELETE /api/news/ingest/:jobId
+ * Cancel a running ingestion job between pages
+ */
+router.delete('/ingest/:jobId', requireScope('admin'), validate(schemas.cancelIngestion), (req, res, next) => {
+  try {
+    const job = cancelJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Ingestion job not found' });
+    }
+
+    res.status(202).json({ success: true, message: 'Cancellation requested', data: serializeJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { requireScope } = require('../middleware/auth');
+const {
+  findSavedSearch,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  rotateSecret,
+  deleteSavedSearch,
+  listDeliveries,
+} = require('../services/savedSearchService');
+
+// Reader keys only see and change the searches they created; admin keys see all
+router.use(requireScope('reader'));
+
+const notFound = (res) => res.status(404).json({ success: false, message: 'Saved search not found' });
+
+const parseLimit = (limit) => Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+/**
+ * GET /api/searches
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const searches = await listSavedSearches(req.apiKey);
+    res.json({ success: true, data: searches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/searches
+ * Body: { name, webhookUrl, filters }. The response carries the webhook signing secret.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const search = await createSavedSearch(req.body || {}, req.apiKey);
+    res.status(201).json({ success: true, data: search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/searches/deliveries
+ * Recent webhook deliveries across the caller's saved searches (all of them for admin keys)
+ */
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const deliveries = await listDeliveries({ apiKey: req.apiKey, status: req.query.status, limit: parseLimit(req.query.limit) });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/searches/:id
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const search = await findSavedSearch(req.params.id, req.apiKey);
+    if (!search) return notFound(res);
+    res.json({ success: true, data: search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/searches/:id
+ * Body: any of { name, webhookUrl, filters, active }
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const search = await updateSavedSearch(req.params.id, req.body || {}, req.apiKey);
+    if (!search) return notFound(res);
+    res.json({ success: true, data: search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/searches/:id/rotate-secret
+ */
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const search = await rotateSecret(req.params.id, req.apiKey);
+    if (!search) return notFound(res);
+    res.json({ success: true, data: search });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/searches/:id
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const search = await deleteSavedSearch(req.params.id, req.apiKey);
+    if (!search) return notFound(res);
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/searches/:id/deliveries
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const search = await findSavedSearch(req.params.id, req.apiKey);
+    if (!search) return notFound(res);
+
+    const deliveries = await listDeliveries({
+      apiKey: req.apiKey,
+      savedSearch: search._id,
+      status: req.query.status,
+      limit: parseLimit(req.query.limit),
+    });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,326 @@
+/**
+ * Request schemas for routes/news.js. Each entry is enforced by
+ * middleware/validate.js and documented by utils/openapi.js.
+ *
+ * Entry shape: { method, path, summary, description?, tag, scope?, params?,
+ * query?, check?, response? } — `path` is relative to /api/news in Express
+ * syntax, `response` describes the `data` (and `pagination`) of a 200 reply.
+ */
+const IngestionRun = require('../models/IngestionRun');
+const Source = require('../models/Source');
+const { FACET_FIELDS } = require('../services/facetService');
+const { SEARCH_FIELDS } = require('../utils/searchQuery');
+const { EXPORT_FORMATS, EXPORT_MAX_ROWS, EXPORTABLE_FIELDS } = require('../services/exportService');
+
+const SORTABLE_FIELDS = ['pubDate', 'createdAt', 'updatedAt', 'title', 'source_priority'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// ─── Shared Parameters ────────────────────────────────────────────────────────
+
+const list = (description) => ({ type: 'array', items: { type: 'string' }, maxItems: 50, description });
+
+const FILTERS = {
+  startDate: { type: 'string', format: 'date', description: 'Published on or after this day (UTC)', example: '2024-01-01' },
+  endDate: { type: 'string', format: 'date', description: 'Published on or before this day (UTC)', example: '2024-01-31' },
+  author: { type: 'string', maxLength: 200, description: 'Case-insensitive partial match on creator' },
+  language: list('Comma-separated ISO 639-1 codes (`en,nl`) or English names (`english,dutch`)'),
+  country: list('Comma-separated ISO 3166-1 alpha-2 codes (`us,nl`) or English names'),
+  category: list('Comma-separated categories'),
+  datatype: list('Comma-separated content types'),
+  source: list('Comma-separated source_ids'),
+  sentiment: {
+    type: 'array',
+    items: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+    description: 'Comma-separated sentiment labels',
+  },
+  ai_tag: list('Comma-separated topic tags (any of)'),
+  search: {
+    type: 'string',
+    maxLength: 500,
+    description: 'Search query: words and "phrases" (all required), OR, NOT or -term, ( ) grouping, and '
+      + `field qualifiers ${SEARCH_FIELDS.map((f) => `\`${f}:\``).join(', ')}. `
+      + '`after:`/`before:` take a relative age (`7d`, `12h`, `2w`, `3m`, `1y`) or a YYYY-MM-DD date.',
+    example: 'title:"heat wave" (climate OR weather) -opinion after:7d',
+  },
+};
+
+const SORT = {
+  sortBy: { type: 'string', enum: SORTABLE_FIELDS, default: 'pubDate' },
+  sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+};
+
+const LIST_SORT = {
+  ...SORT,
+  sortBy: {
+    type: 'string',
+    enum: [...SORTABLE_FIELDS, 'relevance'],
+    default: 'pubDate',
+    description: '`relevance` ranks by text score when `search` has free-text terms (offset pagination only)',
+  },
+};
+
+const pageParams = (defaultLimit, maxLimit) => ({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit },
+});
+
+const ARTICLE_ID = { id: { type: 'string', required: true, maxLength: 200, description: 'article_id' } };
+
+/**
+ * startDate must not come after endDate
+ */
+const checkDateRange = ({ startDate, endDate }) =>
+  (startDate && endDate && startDate > endDate
+    ? [{ field: 'endDate', message: 'must not be before startDate' }]
+    : []);
+
+/**
+ * Text scores can't be encoded into keyset cursors
+ */
+const checkListQuery = (query) => [
+  ...checkDateRange(query),
+  ...(query.sortBy === 'relevance' && (query.cursor !== undefined || query.pagination === 'cursor')
+    ? [{ field: 'sortBy', message: 'relevance is only available with offset pagination' }]
+    : []),
+];
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+const schemas = {
+  debug: {
+    method: 'get',
+    path: '/debug',
+    tag: 'Admin',
+    scope: 'admin',
+    summary: 'Inspect stored pubDates and test a date range query',
+    query: { startDate: FILTERS.startDate, endDate: FILTERS.endDate },
+    check: checkDateRange,
+  },
+
+  list: {
+    method: 'get',
+    path: '/',
+    tag: 'Articles',
+    summary: 'List articles',
+    description: 'Offset pagination (page/limit) by default. Pass `cursor` (empty for the first page) or '
+      + '`pagination=cursor` for keyset pagination via `nextCursor`. `collapse=true` returns one article per story cluster.',
+    query: {
+      ...pageParams(20, 100),
+      ...LIST_SORT,
+      ...FILTERS,
+      collapse: { type: 'boolean', default: false, description: 'One article per story cluster, with `cluster_size`' },
+      cursor: { type: 'string', maxLength: 2000, allowEmpty: true, description: 'Keyset cursor from a previous `nextCursor`' },
+      pagination: { type: 'string', enum: ['offset', 'cursor'], default: 'offset' },
+      includeTotal: { type: 'boolean', default: false, description: 'Count matches in keyset mode' },
+      facets: {
+        type: 'array',
+        items: { type: 'string', enum: FACET_FIELDS },
+        description: 'Per-value counts under the current filters, each facet ignoring its own filter. '
+          + 'With `collapse=true` they count story clusters, like the results.',
+      },
+      facetLimit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Values per facet' },
+    },
+    check: checkListQuery,
+    response: {
+      data: { type: 'array', items: ref('ArticleSummary') },
+      pagination: ref('Pagination'),
+      facets: ref('Facets'),
+    },
+  },
+
+  export: {
+    method: 'get',
+    path: '/export',
+    tag: 'Articles',
+    summary: 'Export matching articles as CSV, NDJSON, RSS or Atom',
+    description: 'Streams every article matching the list filters. Feeds default to the latest 50 items.',
+    query: {
+      format: { type: 'string', enum: EXPORT_FORMATS, default: 'ndjson' },
+      fields: { type: 'array', items: { type: 'string', enum: EXPORTABLE_FIELDS }, description: 'Columns for csv/ndjson' },
+      limit: { type: 'integer', minimum: 1, maximum: EXPORT_MAX_ROWS },
+      ...SORT,
+      ...FILTERS,
+    },
+    check: checkDateRange,
+    produces: ['application/x-ndjson', 'text/csv', 'application/rss+xml', 'application/atom+xml'],
+  },
+
+  stream: {
+    method: 'get',
+    path: '/stream',
+    tag: 'Articles',
+    summary: 'Server-Sent Events stream of newly ingested articles',
+    description: 'Emits `article`, `ingestion` and heartbeat events for articles matching the list filters. '
+      + 'Resumes from the `Last-Event-ID` header or `lastEventId` parameter.',
+    query: { lastEventId: { type: 'string', maxLength: 200 }, ...FILTERS },
+    check: checkDateRange,
+    produces: ['text/event-stream'],
+  },
+
+  filters: {
+    method: 'get',
+    path: '/filters',
+    tag: 'Articles',
+    summary: 'Distinct values for all filter dropdowns',
+    description: 'Languages and countries are `{ code, label }` pairs (ISO codes with English labels) '
+      + 'so clients can localize the labels.',
+    response: {
+      data: {
+        type: 'object',
+        properties: {
+          languages: { type: 'array', items: ref('CodeLabel') },
+          countries: { type: 'array', items: ref('CodeLabel') },
+          categories: { type: 'array', items: { type: 'string' } },
+          datatypes: { type: 'array', items: { type: 'string' } },
+          authors: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+
+  stats: {
+    method: 'get',
+    path: '/stats',
+    tag: 'Stats',
+    summary: 'Dashboard totals and top categories/languages',
+  },
+
+  sources: {
+    method: 'get',
+    path: '/sources',
+    tag: 'Sources',
+    summary: 'Source registry with article counts and last seen dates',
+    query: {
+      ...pageParams(50, 200),
+      status: { type: 'string', enum: Source.schema.path('status').enumValues },
+      search: { type: 'string', maxLength: 200, description: 'Match on source name or id' },
+      sortBy: { type: 'string', enum: ['articleCount', 'lastSeenAt', 'name'], default: 'articleCount' },
+    },
+    response: { data: { type: 'array', items: ref('Source') }, pagination: ref('Pagination') },
+  },
+
+  timeseries: {
+    method: 'get',
+    path: '/stats/timeseries',
+    tag: 'Stats',
+    summary: 'Zero-filled article counts per time bucket',
+    description: '`startDate`/`endDate` are whole days in `timezone`.',
+    query: {
+      interval: { type: 'string', enum: ['hour', 'day', 'week'], default: 'day' },
+      groupBy: { type: 'string', enum: ['category', 'language', 'country', 'source_id'] },
+      timezone: { type: 'string', format: 'timezone', default: 'UTC' },
+      top: { type: 'integer', minimum: 1, maximum: 50, default: 10, description: 'Series kept when grouping' },
+      ...FILTERS,
+    },
+    check: checkDateRange,
+  },
+
+  trending: {
+    method: 'get',
+    path: '/trending',
+    tag: 'Stats',
+    summary: 'Terms spiking in the last `window` hours relative to the preceding `baseline` days',
+    query: {
+      window: { type: 'integer', minimum: 1, maximum: 24 * 30, default: 24, description: 'Hours' },
+      baseline: { type: 'integer', minimum: 1, maximum: 90, default: 7, description: 'Days' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      minCount: { type: 'integer', minimum: 1, default: 3 },
+      samples: { type: 'integer', minimum: 0, maximum: 10, default: 3, description: 'Example articles per term' },
+      language: FILTERS.language,
+      category: FILTERS.category,
+      country: FILTERS.country,
+    },
+  },
+
+  related: {
+    method: 'get',
+    path: '/:id/related',
+    tag: 'Articles',
+    summary: 'Articles in the same story cluster, plus text-similar articles',
+    params: ARTICLE_ID,
+    query: { limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 } },
+    response: {
+      data: {
+        type: 'object',
+        properties: {
+          cluster: { type: 'array', items: ref('ArticleSummary'), description: 'Newest first' },
+          similar: {
+            type: 'array',
+            items: {
+              allOf: [
+                ref('ArticleSummary'),
+                { type: 'object', properties: { score: { type: 'number', description: 'Text relevance' } } },
+              ],
+            },
+            description: 'Same language, outside the cluster, best match first',
+          },
+        },
+      },
+    },
+  },
+
+  article: {
+    method: 'get',
+    path: '/:id',
+    tag: 'Articles',
+    summary: 'Single article by article_id',
+    params: ARTICLE_ID,
+    response: { data: ref('Article') },
+  },
+
+  startIngestion: {
+    method: 'post',
+    path: '/ingest',
+    tag: 'Ingestion',
+    scope: 'admin',
+    summary: 'Start an ingestion run in the background',
+    description: 'Replies 202 with the job; poll `GET /ingest/{jobId}`. 409 when any instance is already ingesting.',
+    status: 202,
+  },
+
+  ingestionRuns: {
+    method: 'get',
+    path: '/ingest/runs',
+    tag: 'Ingestion',
+    scope: 'admin',
+    summary: 'Ingestion run history, newest first',
+    query: {
+      ...pageParams(20, 100),
+      status: { type: 'string', enum: IngestionRun.schema.path('status').enumValues },
+      trigger: { type: 'string', enum: IngestionRun.schema.path('trigger').enumValues },
+    },
+    response: { data: { type: 'array', items: ref('IngestionRun') }, pagination: ref('Pagination') },
+  },
+
+  ingestionRun: {
+    method: 'get',
+    path: '/ingest/runs/:id',
+    tag: 'Ingestion',
+    scope: 'admin',
+    summary: 'Single ingestion run with per-batch details',
+    params: { id: { type: 'string', format: 'objectid', required: true } },
+    response: { data: ref('IngestionRun') },
+  },
+
+  ingestionJob: {
+    method: 'get',
+    path: '/ingest/:jobId',
+    tag: 'Ingestion',
+    scope: 'admin',
+    summary: 'Progress of an ingestion job',
+    params: { jobId: { type: 'string', format: 'uuid', required: true } },
+  },
+
+  cancelIngestion: {
+    method: 'delete',
+    path: '/ingest/:jobId',
+    tag: 'Ingestion',
+    scope: 'admin',
+    summary: 'Cancel a running ingestion job between pages',
+    params: { jobId: { type: 'string', format: 'uuid', required: true } },
+    status: 202,
+  },
+};
+
+module.exports = { schemas, FILTERS, SORTABLE_FIELDS, checkDateRange };
@@ -0,0 +1,40 @@
+/**
+ * Create an API key from the command line, e.g. to bootstrap the first admin key:
+ *   npm run create-key -- --name ops --scopes admin [--rate-limit 5000]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { createApiKey } = require('../services/apiKeyService');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  const { apiKey, key } = await createApiKey({
+    name: args.name,
+    scopes: (args.scopes || 'reader').split(','),
+    rateLimit: args['rate-limit'] ? parseInt(args['rate-limit'], 10) : null,
+  });
+
+  console.log(`Created API key "${apiKey.name}" (${apiKey.scopes.join(', ')}) id=${apiKey._id}`);
+  console.log(`Key (shown once): ${key}`);
+};
+
+main()
+  .catch((err) => {
+    console.error(`Failed to create API key: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,53 @@
+/**
+ * Backfill keywords, sentiment and entity tags for articles stored before
+ * enrichment existed (new articles are enriched during ingestion):
+ *   npm run enrich -- [--batch-size 500]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Article = require('../models/Article');
+const { enrichArticles } = require('../services/enrichmentService');
+const { invalidateCache } = require('../utils/cache');
+
+const parseBatchSize = (argv) => {
+  const index = argv.indexOf('--batch-size');
+  return Math.max(1, parseInt(index === -1 ? '' : argv[index + 1], 10) || 500);
+};
+
+const main = async () => {
+  const batchSize = parseBatchSize(process.argv.slice(2));
+  await connectDB();
+
+  const total = await Article.countDocuments({ enrichedAt: null });
+  console.log(`Enriching ${total} article(s)...`);
+
+  let enriched = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await Article.find(
+      { enrichedAt: null, ...(lastId && { _id: { $gt: lastId } }) },
+      { article_id: 1 }
+    )
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (batch.length === 0) break;
+
+    lastId = batch[batch.length - 1]._id;
+    enriched += await enrichArticles(batch.map((a) => a.article_id));
+    console.log(`  ${enriched}/${total} enriched`);
+  }
+
+  // Running servers still cache the unenriched versions
+  if (enriched > 0) await invalidateCache();
+  console.log(`Enrichment complete: ${enriched} article(s) enriched.`);
+};
+
+main()
+  .catch((err) => {
+    console.error(`Enrichment failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,142 @@
+/**
+ * Load raw NewsData records from disk without calling the API, e.g. to seed a
+ * local database:
+ *   npm run import -- data.json [more.ndjson ...] [--dry-run] [--batch-size 500]
+ *
+ * Accepts JSON arrays of articles, NDJSON (one article or API response per
+ * line, optionally gzipped like retention archives) and saved API responses
+ * ({ status, results: [...] }, alone or in an array).
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { importArticles } = require('../services/newsService');
+const { invalidateCache } = require('../utils/cache');
+
+const parseArgs = (argv) => {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args['dry-run'] = true;
+    else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+/**
+ * Flatten a parsed value into article records: API responses contribute
+ * their `results`, anything else is taken as an article.
+ */
+const toRecords = (value) => {
+  if (Array.isArray(value)) return value.flatMap(toRecords);
+  if (value && Array.isArray(value.results)) return value.results;
+  return [value];
+};
+
+const openFile = (file) => {
+  const stream = fs.createReadStream(file);
+  return file.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+};
+
+/**
+ * Yield the file's records in batches. Whole-document JSON is parsed in one
+ * go; NDJSON is streamed line by line.
+ */
+async function* readBatches(file, batchSize) {
+  const base = path.basename(file).replace(/\.gz$/, '');
+  const isNdjson = /\.(ndjson|jsonl)$/.test(base);
+
+  if (!isNdjson) {
+    const chunks = [];
+    for await (const chunk of openFile(file)) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = undefined;
+    }
+
+    if (parsed !== undefined) {
+      const records = toRecords(parsed);
+      for (let i = 0; i < records.length; i += batchSize) yield records.slice(i, i + batchSize);
+      return;
+    }
+    // Not a single JSON document: fall through and try it as NDJSON
+  }
+
+  const lines = readline.createInterface({ input: openFile(file), crlfDelay: Infinity });
+  let batch = [];
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      batch.push(...toRecords(JSON.parse(line)));
+    } catch (err) {
+      // Keep going; the normalizer counts the placeholder as a rejected record
+      console.warn(`  ${file}:${lineNumber}: invalid JSON (${err.message})`);
+      batch.push(null);
+    }
+
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const dryRun = args['dry-run'] === true;
+  const batchSize = Math.max(1, parseInt(args['batch-size'], 10) || 500);
+
+  if (args.files.length === 0) {
+    throw new Error('Usage: npm run import -- <file.json|file.ndjson> [...] [--dry-run] [--batch-size 500]');
+  }
+
+  await connectDB();
+
+  const totals = { read: 0, upserted: 0, modified: 0, existing: 0, rejected: 0, blocked: 0 };
+
+  for (const file of args.files) {
+    console.log(`${dryRun ? '[dry run] ' : ''}Importing ${file}...`);
+
+    for await (const records of readBatches(file, batchSize)) {
+      const result = await importArticles(records, { dryRun });
+
+      totals.read += records.length;
+      ['upserted', 'modified', 'existing', 'rejected', 'blocked'].forEach((key) => { totals[key] += result[key]; });
+
+      result.rejections.slice(0, 3).forEach((reason) => console.warn(`  rejected: ${reason}`));
+      console.log(`  ${totals.read} records read, ${totals.upserted} new, ${dryRun ? `${totals.existing} existing` : `${totals.modified} updated`}, ${totals.rejected} rejected, ${totals.blocked} blocked`);
+    }
+  }
+
+  // Tell running servers their cached responses are out of date
+  if (!dryRun && (totals.upserted > 0 || totals.modified > 0)) await invalidateCache();
+
+  console.log(
+    dryRun
+      ? `Dry run complete: ${totals.upserted} would be new, ${totals.existing} already exist, ${totals.rejected} rejected, ${totals.blocked} from blocked sources. Nothing was written.`
+      : `Import complete: ${totals.upserted} new, ${totals.modified} updated, ${totals.rejected} rejected, ${totals.blocked} from blocked sources.`
+  );
+};
+
+main()
+  .catch((err) => {
+    console.error(`Import failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,81 @@
+/**
+ * Rewrite language and country names stored before ingestion normalized them
+ * to ISO codes ("dutch" → "nl", "netherland" → "nl"). Values with no known
+ * code are left alone, so the migration is safe to re-run:
+ *   npm run migrate:iso-codes -- [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const { toLanguageCode, toCountryCode } = require('../utils/isoCodes');
+
+/**
+ * { from, to } renames for the distinct values of a field
+ */
+const planRenames = async (Model, field, toCode) => {
+  const values = (await Model.distinct(field)).flat().filter(Boolean);
+  return values
+    .map((from) => ({ from, to: toCode(from) }))
+    .filter(({ from, to }) => to && to !== from);
+};
+
+/**
+ * Replace `from` with `to` inside an array field; $setUnion drops the
+ * duplicate left behind when two names map to one code ("england", "united kingdom")
+ */
+const renameInArray = (Model, field, { from, to }) =>
+  Model.updateMany(
+    { [field]: from },
+    [{
+      $set: {
+        [field]: {
+          $setUnion: [{ $map: { input: `$${field}`, as: 'v', in: { $cond: [{ $eq: ['$$v', from] }, to, '$$v'] } } }, []],
+        },
+      },
+    }],
+    { timestamps: false }
+  );
+
+const renameScalar = (Model, field, { from, to }) =>
+  Model.updateMany({ [field]: from }, { $set: { [field]: to } }, { timestamps: false });
+
+const TARGETS = [
+  { Model: Article, field: 'language', toCode: toLanguageCode, rename: renameScalar },
+  { Model: Article, field: 'country', toCode: toCountryCode, rename: renameInArray },
+  { Model: Source, field: 'languages', toCode: toLanguageCode, rename: renameInArray },
+];
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  for (const { Model, field, toCode, rename } of TARGETS) {
+    const renames = await planRenames(Model, field, toCode);
+    let updated = 0;
+
+    for (const change of renames) {
+      if (dryRun) {
+        const count = await Model.countDocuments({ [field]: change.from });
+        console.log(`  [dry run] ${Model.modelName}.${field}: "${change.from}" → "${change.to}" (${count} documents)`);
+        updated += count;
+      } else {
+        const result = await rename(Model, field, change);
+        console.log(`  ${Model.modelName}.${field}: "${change.from}" → "${change.to}" (${result.modifiedCount} documents)`);
+        updated += result.modifiedCount;
+      }
+    }
+
+    console.log(`${Model.modelName}.${field}: ${renames.length} value(s), ${updated} document(s) ${dryRun ? 'would be ' : ''}updated`);
+  }
+
+  if (dryRun) console.log('Dry run complete. Nothing was written.');
+};
+
+main()
+  .catch((err) => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
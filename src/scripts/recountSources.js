@@ -0,0 +1,23 @@
+/**
+ * Recompute every source's articleCount from the articles actually stored.
+ * Counts recorded before they were tracked at ingestion start from zero;
+ * safe to re-run at any time:
+ *   npm run recount-sources
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { recountSources } = require('../services/sourceService');
+
+const main = async () => {
+  await connectDB();
+  const updated = await recountSources();
+  console.log(`Recount complete: ${updated} source(s) updated.`);
+};
+
+main()
+  .catch((err) => {
+    console.error(`Recount failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
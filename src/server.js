@@ -2,6 +2,8 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const { startCronJob, stopCronJob } = require('./jobs/cronJob');
+const { getActiveJob, cancelJob } = require('./jobs/ingestionJobs');
+const { closeAllStreams } = require('./services/streamService');
 const logger = require('./utils/logger');
 
 const PORT = process.env.PORT || 5000;
@@ -20,6 +22,12 @@ const startServer = async () => {
     logger.info(`${signal} received. Starting graceful shutdown...`);
     stopCronJob();
 
+    const activeJob = getActiveJob();
+    if (activeJob && activeJob.status === 'running') cancelJob(activeJob.id);
+
+    // Open SSE connections would otherwise keep server.close() waiting
+    closeAllStreams();
+
     server.close(async () => {
       logger.info('HTTP server closed.');
       const mongoose = require('mongoose');
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { MemoryStore } = require('../utils/cache');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'nak_';
+const SCOPES = ['reader', 'admin'];
+
+// Verified keys are cached briefly so authenticated requests don't all hit MongoDB.
+// Revocation takes effect immediately on this instance, within the TTL elsewhere.
+// Unknown keys are never cached, so made-up keys can't fill the cache.
+const CACHE_TTL_MS = 30000;
+const CACHE_MAX_KEYS = 10000;
+const LAST_USED_INTERVAL_MS = 60000;
+const cache = new MemoryStore({ maxEntries: CACHE_MAX_KEYS });
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const validateKeyInput = ({ name, scopes = ['reader'], rateLimit = null }) => {
+  if (typeof name !== 'string' || !name.trim()) throw validationError('name is required');
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !SCOPES.includes(s))) {
+    throw validationError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+  }
+  if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) {
+    throw validationError('rateLimit must be a positive integer');
+  }
+  return { name: name.trim(), scopes: [...new Set(scopes)], rateLimit };
+};
+
+/**
+ * Create a key. The raw key is returned once and cannot be recovered later.
+ */
+const createApiKey = async (input) => {
+  const fields = validateKeyInput(input);
+  const key = generateKey();
+
+  const doc = await ApiKey.create({
+    ...fields,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+  });
+
+  const { keyHash, ...apiKey } = doc.toObject();
+  return { apiKey, key };
+};
+
+/**
+ * Replace a key's secret, keeping its name, scopes and limits
+ */
+const rotateApiKey = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const existing = await ApiKey.findOne({ _id: id, revokedAt: null }).select('+keyHash').lean();
+  if (!existing) return null;
+
+  const key = generateKey();
+  const apiKey = await ApiKey.findByIdAndUpdate(
+    id,
+    { $set: { prefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: hashKey(key), rotatedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  cache.delete(existing.keyHash);
+  return { apiKey, key };
+};
+
+const revokeApiKey = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).select('+keyHash').lean();
+  if (!apiKey) return null;
+
+  cache.delete(apiKey.keyHash);
+  const { keyHash, ...revoked } = apiKey;
+  return revoked;
+};
+
+const listApiKeys = () => ApiKey.find().sort({ createdAt: -1 }).lean();
+
+/**
+ * Resolve a raw key to its active ApiKey record, or null
+ */
+const verifyApiKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const keyHash = hashKey(key);
+  const cached = cache.get(keyHash);
+  if (cached) return cached;
+
+  const apiKey = await ApiKey.findOne({ keyHash, revokedAt: null }).lean();
+  if (apiKey) cache.set(keyHash, apiKey, CACHE_TTL_MS);
+
+  if (apiKey && (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS)) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch((err) => logger.warn(`Failed to record API key usage: ${err.message}`));
+  }
+
+  return apiKey;
+};
+
+const hasScope = (apiKey, scope) =>
+  Boolean(apiKey) && (apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin'));
+
+module.exports = {
+  SCOPES,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  verifyApiKey,
+  hasScope,
+};
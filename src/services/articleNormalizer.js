@@ -0,0 +1,139 @@
+/**
+ * Normalization and validation stage in front of upsertArticles.
+ * Turns provider records into the exact shape the Article schema expects.
+ */
+const { toLanguageCode, toCountryCode } = require('../utils/isoCodes');
+
+// NewsData.io fills fields outside the current plan with strings like
+// "ONLY AVAILABLE IN PAID PLANS" or "ONLY AVAILABLE IN CORPORATE PLANS"
+const PLACEHOLDER_PATTERN = /^\s*ONLY AVAILABLE IN\b.*\bPLANS?\s*$/i;
+
+const STRING_FIELDS = [
+  'title', 'link', 'video_url', 'description', 'content', 'pubDateTZ', 'image_url',
+  'source_id', 'source_name', 'source_url', 'source_icon', 'language', 'sentiment', 'datatype',
+];
+const ARRAY_FIELDS = ['keywords', 'creator', 'country', 'category', 'ai_tag', 'ai_region', 'ai_org'];
+
+const isPlaceholder = (value) => typeof value === 'string' && PLACEHOLDER_PATTERN.test(value);
+
+/**
+ * Parse a provider pubDate into a JS Date.
+ * NewsData.io format: "2026-02-20 17:45:00" (UTC, space separator);
+ * other providers send ISO 8601 strings.
+ */
+const parsePubDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const str = String(value);
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(str) ? str.replace(' ', 'T') + 'Z' : str;
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+const toStringValue = (value) => {
+  if (value === undefined || value === null || isPlaceholder(value)) return null;
+  if (typeof value === 'object') return null;
+  const str = String(value).trim();
+  return str || null;
+};
+
+const toStringArray = (value) => {
+  if (value === undefined || value === null || isPlaceholder(value)) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .filter((item) => item !== null && item !== undefined && typeof item !== 'object' && !isPlaceholder(item))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '' || isPlaceholder(value)) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 1;
+
+const toPlainObject = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+
+/**
+ * Normalize one raw provider record.
+ * Returns { article, normalizedFields } or { error } when the record is unusable.
+ * `normalizedFields` lists the fields whose value had to be replaced or coerced.
+ */
+const normalizeArticle = (raw) => {
+  if (!raw || typeof raw !== 'object') return { error: 'Record is not an object' };
+
+  const article = { article_id: toStringValue(raw.article_id) };
+  const normalizedFields = [];
+
+  const set = (field, value, changed) => {
+    article[field] = value;
+    if (changed) normalizedFields.push(field);
+  };
+
+  STRING_FIELDS.forEach((field) => {
+    const value = toStringValue(raw[field]);
+    const original = raw[field] === undefined ? null : raw[field];
+    set(field, value, original !== null && value !== (typeof original === 'string' ? original.trim() : original));
+  });
+
+  ARRAY_FIELDS.forEach((field) => {
+    const value = toStringArray(raw[field]);
+    const original = raw[field];
+    const untouched = Array.isArray(original)
+      && original.length === value.length
+      && original.every((item, i) => item === value[i]);
+    set(field, value, original !== null && original !== undefined && !untouched);
+  });
+
+  // Provider names ("dutch", "netherland") become ISO codes; unknown values are kept
+  if (article.language) article.language = toLanguageCode(article.language) || article.language;
+  article.country = [...new Set(article.country.map((value) => toCountryCode(value) || value))];
+
+  const priority = toNumber(raw.source_priority);
+  set('source_priority', priority, raw.source_priority != null && priority !== raw.source_priority);
+
+  const sentimentStats = toPlainObject(raw.sentiment_stats);
+  set('sentiment_stats', sentimentStats, raw.sentiment_stats != null && sentimentStats === null);
+
+  const duplicate = toBoolean(raw.duplicate);
+  set('duplicate', duplicate, raw.duplicate != null && duplicate !== raw.duplicate);
+
+  const pubDate = parsePubDate(raw.pubDate);
+  set('pubDate', pubDate, raw.pubDate != null && pubDate === null);
+
+  article.provider = toStringValue(raw.provider) || 'newsdata';
+
+  if (!article.article_id) return { error: 'Missing article_id' };
+  if (!article.title) return { error: `Missing title (article_id ${article.article_id})` };
+
+  return { article, normalizedFields };
+};
+
+/**
+ * Normalize a page of raw records.
+ * Returns the valid articles plus per-page rejection and normalization counts.
+ */
+const prepareArticles = (rawArticles = []) => {
+  const articles = [];
+  const rejections = [];
+  const normalized = {};
+
+  rawArticles.forEach((raw) => {
+    const { article, normalizedFields, error } = normalizeArticle(raw);
+    if (error) {
+      rejections.push(error);
+      return;
+    }
+    normalizedFields.forEach((field) => {
+      normalized[field] = (normalized[field] || 0) + 1;
+    });
+    articles.push(article);
+  });
+
+  return { articles, rejected: rejections.length, rejections, normalized };
+};
+
+module.exports = { normalizeArticle, prepareArticles, parsePubDate, isPlaceholder };
@@ -0,0 +1,262 @@
+/**
+ * English gazetteers for dictionary-based tagging. Each entry maps a
+ * lower-case tag to the phrases that signal it. Phrases containing an upper
+ * case letter only match with that exact casing ("Apple", "UN"), so common
+ * words and short acronyms don't fire on ordinary prose.
+ */
+
+// ─── Organizations ────────────────────────────────────────────────────────────
+
+const ORGANIZATIONS = {
+  'united nations': ['united nations', 'UN', 'U.N.'],
+  'nato': ['nato', 'NATO', 'north atlantic treaty organization'],
+  'european union': ['european union', 'EU', 'E.U.', 'european commission', 'brussels commission'],
+  'world health organization': ['world health organization', 'world health organisation', 'WHO'],
+  'international monetary fund': ['international monetary fund', 'IMF'],
+  'world bank': ['world bank'],
+  'world trade organization': ['world trade organization', 'WTO'],
+  'opec': ['opec', 'OPEC+'],
+  'g7': ['G7', 'G-7'],
+  'g20': ['G20', 'G-20'],
+  'federal reserve': ['federal reserve', 'Fed'],
+  'european central bank': ['european central bank', 'ECB'],
+  'bank of england': ['bank of england', 'BoE'],
+  'bank of japan': ['bank of japan', 'BoJ'],
+  'fbi': ['FBI', 'federal bureau of investigation'],
+  'cia': ['CIA', 'central intelligence agency'],
+  'nasa': ['nasa', 'NASA'],
+  'european space agency': ['european space agency', 'ESA'],
+  'pentagon': ['Pentagon'],
+  'white house': ['white house'],
+  'kremlin': ['Kremlin'],
+  'congress': ['Congress', 'us congress'],
+  'supreme court': ['supreme court'],
+  'securities and exchange commission': ['securities and exchange commission', 'SEC'],
+  'international criminal court': ['international criminal court', 'ICC'],
+  'red cross': ['red cross', 'red crescent', 'ICRC'],
+  'unicef': ['unicef', 'UNICEF'],
+  'amnesty international': ['amnesty international'],
+  'greenpeace': ['greenpeace'],
+  'fifa': ['fifa', 'FIFA'],
+  'uefa': ['uefa', 'UEFA'],
+  'international olympic committee': ['international olympic committee', 'IOC'],
+  'nba': ['NBA'],
+  'nfl': ['NFL'],
+  'apple': ['Apple', 'apple inc'],
+  'google': ['google', 'alphabet inc', 'Alphabet'],
+  'microsoft': ['microsoft'],
+  'amazon': ['Amazon', 'amazon.com', 'amazon web services', 'AWS'],
+  'meta': ['Meta', 'meta platforms', 'facebook', 'instagram', 'whatsapp'],
+  'tesla': ['tesla'],
+  'spacex': ['spacex'],
+  'nvidia': ['nvidia'],
+  'intel': ['Intel'],
+  'amd': ['AMD'],
+  'ibm': ['IBM'],
+  'openai': ['openai', 'chatgpt'],
+  'anthropic': ['anthropic'],
+  'samsung': ['samsung'],
+  'sony': ['sony'],
+  'tsmc': ['TSMC', 'taiwan semiconductor'],
+  'huawei': ['huawei'],
+  'alibaba': ['alibaba'],
+  'tencent': ['tencent'],
+  'bytedance': ['bytedance', 'tiktok'],
+  'netflix': ['netflix'],
+  'disney': ['disney'],
+  'x': ['twitter', 'X Corp'],
+  'uber': ['Uber'],
+  'boeing': ['boeing'],
+  'airbus': ['airbus'],
+  'toyota': ['toyota'],
+  'volkswagen': ['volkswagen', 'VW'],
+  'ford': ['ford motor', 'ford motor company'],
+  'general motors': ['general motors', 'GM'],
+  'stellantis': ['stellantis'],
+  'shell': ['Shell', 'royal dutch shell'],
+  'exxonmobil': ['exxonmobil', 'exxon'],
+  'bp': ['BP'],
+  'saudi aramco': ['aramco', 'saudi aramco'],
+  'gazprom': ['gazprom'],
+  'jpmorgan chase': ['jpmorgan', 'jp morgan', 'jpmorgan chase'],
+  'goldman sachs': ['goldman sachs'],
+  'morgan stanley': ['morgan stanley'],
+  'blackrock': ['blackrock'],
+  'hsbc': ['HSBC'],
+  'ing': ['ING'],
+  'philips': ['Philips'],
+  'asml': ['asml', 'ASML'],
+  'unilever': ['unilever'],
+  'nestle': ['nestle', 'nestlé'],
+  'pfizer': ['pfizer'],
+  'moderna': ['moderna'],
+  'astrazeneca': ['astrazeneca'],
+  'johnson & johnson': ['johnson & johnson', 'J&J'],
+  'walmart': ['walmart'],
+  'bbc': ['BBC'],
+  'reuters': ['Reuters'],
+  'hamas': ['hamas'],
+  'hezbollah': ['hezbollah'],
+  'taliban': ['taliban'],
+};
+
+// ─── Regions ──────────────────────────────────────────────────────────────────
+
+const CONTINENTS = {
+  'north america': ['north america', 'North American'],
+  'south america': ['south america', 'latin america', 'Latin American'],
+  'europe': ['europe', 'European', 'Europeans'],
+  'asia': ['asia', 'Asian', 'middle east', 'Middle Eastern'],
+  'africa': ['africa', 'African', 'Africans'],
+  'oceania': ['oceania', 'pacific islands'],
+};
+
+// Country tag → [continent, ...aliases]
+const COUNTRIES = {
+  'united states of america': ['north america', 'united states', 'USA', 'US', 'U.S.', 'America', 'American', 'Americans'],
+  'canada': ['north america', 'canada', 'Canadian', 'Canadians'],
+  'mexico': ['north america', 'mexico', 'Mexican', 'Mexicans'],
+  'brazil': ['south america', 'brazil', 'Brazilian'],
+  'argentina': ['south america', 'argentina', 'Argentine', 'Argentinian'],
+  'chile': ['south america', 'Chile', 'Chilean'],
+  'colombia': ['south america', 'colombia', 'Colombian'],
+  'peru': ['south america', 'peru', 'Peruvian'],
+  'venezuela': ['south america', 'venezuela', 'Venezuelan'],
+  'united kingdom': ['europe', 'united kingdom', 'UK', 'U.K.', 'britain', 'great britain', 'British', 'england', 'scotland', 'wales', 'northern ireland'],
+  'ireland': ['europe', 'Ireland', 'Irish'],
+  'france': ['europe', 'france', 'French'],
+  'germany': ['europe', 'germany', 'German', 'Germans'],
+  'netherland': ['europe', 'netherlands', 'the netherlands', 'holland', 'Dutch'],
+  'belgium': ['europe', 'belgium', 'Belgian'],
+  'luxembourg': ['europe', 'luxembourg'],
+  'switzerland': ['europe', 'switzerland', 'Swiss'],
+  'austria': ['europe', 'austria', 'Austrian'],
+  'italy': ['europe', 'italy', 'Italian'],
+  'spain': ['europe', 'spain', 'Spanish'],
+  'portugal': ['europe', 'portugal', 'Portuguese'],
+  'greece': ['europe', 'greece', 'Greek'],
+  'poland': ['europe', 'poland', 'Polish'],
+  'czech republic': ['europe', 'czech republic', 'czechia', 'Czech'],
+  'slovakia': ['europe', 'slovakia', 'Slovak'],
+  'hungary': ['europe', 'hungary', 'Hungarian'],
+  'romania': ['europe', 'romania', 'Romanian'],
+  'bulgaria': ['europe', 'bulgaria', 'Bulgarian'],
+  'sweden': ['europe', 'sweden', 'Swedish'],
+  'norway': ['europe', 'norway', 'Norwegian'],
+  'denmark': ['europe', 'denmark', 'Danish'],
+  'finland': ['europe', 'finland', 'Finnish'],
+  'ukraine': ['europe', 'ukraine', 'Ukrainian', 'Ukrainians'],
+  'russia': ['europe', 'russia', 'russian federation', 'Russian', 'Russians'],
+  'belarus': ['europe', 'belarus', 'Belarusian'],
+  'turkey': ['asia', 'Turkey', 'türkiye', 'turkiye', 'Turkish'],
+  'israel': ['asia', 'israel', 'Israeli', 'Israelis'],
+  'palestine': ['asia', 'palestine', 'Palestinian', 'Palestinians', 'gaza', 'west bank'],
+  'lebanon': ['asia', 'lebanon', 'Lebanese'],
+  'syria': ['asia', 'syria', 'Syrian'],
+  'iraq': ['asia', 'iraq', 'Iraqi'],
+  'iran': ['asia', 'iran', 'Iranian'],
+  'saudi arabia': ['asia', 'saudi arabia', 'Saudi'],
+  'united arab emirates': ['asia', 'united arab emirates', 'UAE', 'Emirati'],
+  'qatar': ['asia', 'qatar', 'Qatari'],
+  'yemen': ['asia', 'yemen', 'Yemeni', 'Houthi', 'Houthis'],
+  'afghanistan': ['asia', 'afghanistan', 'Afghan'],
+  'pakistan': ['asia', 'pakistan', 'Pakistani'],
+  'india': ['asia', 'india', 'Indian'],
+  'bangladesh': ['asia', 'bangladesh'],
+  'china': ['asia', 'China', 'Chinese', 'beijing government'],
+  'taiwan': ['asia', 'taiwan', 'Taiwanese'],
+  'hong kong': ['asia', 'hong kong'],
+  'japan': ['asia', 'japan', 'Japanese'],
+  'south korea': ['asia', 'south korea', 'South Korean', 'republic of korea'],
+  'north korea': ['asia', 'north korea', 'North Korean', 'pyongyang'],
+  'indonesia': ['asia', 'indonesia', 'Indonesian'],
+  'philippines': ['asia', 'philippines', 'Filipino'],
+  'vietnam': ['asia', 'vietnam', 'Vietnamese'],
+  'thailand': ['asia', 'thailand', 'Thai'],
+  'malaysia': ['asia', 'malaysia', 'Malaysian'],
+  'singapore': ['asia', 'singapore'],
+  'australia': ['oceania', 'australia', 'Australian', 'Australians'],
+  'new zealand': ['oceania', 'new zealand'],
+  'egypt': ['africa', 'egypt', 'Egyptian'],
+  'libya': ['africa', 'libya', 'Libyan'],
+  'morocco': ['africa', 'morocco', 'Moroccan'],
+  'algeria': ['africa', 'algeria', 'Algerian'],
+  'tunisia': ['africa', 'tunisia'],
+  'nigeria': ['africa', 'nigeria', 'Nigerian'],
+  'ghana': ['africa', 'ghana'],
+  'ethiopia': ['africa', 'ethiopia', 'Ethiopian'],
+  'kenya': ['africa', 'kenya', 'Kenyan'],
+  'sudan': ['africa', 'Sudan', 'Sudanese'],
+  'south africa': ['africa', 'south africa', 'South African'],
+  'democratic republic of the congo': ['africa', 'democratic republic of the congo', 'DRC', 'DR Congo'],
+};
+
+// City tag → [country, ...aliases]
+const CITIES = {
+  'new york': ['united states of america', 'new york', 'new york city', 'NYC', 'manhattan'],
+  'washington': ['united states of america', 'Washington', 'washington dc'],
+  'los angeles': ['united states of america', 'los angeles'],
+  'san francisco': ['united states of america', 'san francisco', 'silicon valley'],
+  'chicago': ['united states of america', 'chicago'],
+  'toronto': ['canada', 'toronto'],
+  'london': ['united kingdom', 'London'],
+  'paris': ['france', 'Paris'],
+  'berlin': ['germany', 'berlin'],
+  'amsterdam': ['netherland', 'amsterdam'],
+  'rotterdam': ['netherland', 'rotterdam'],
+  'the hague': ['netherland', 'the hague', 'den haag'],
+  'brussels': ['belgium', 'brussels'],
+  'madrid': ['spain', 'madrid'],
+  'rome': ['italy', 'Rome'],
+  'vienna': ['austria', 'vienna'],
+  'budapest': ['hungary', 'budapest'],
+  'bratislava': ['slovakia', 'bratislava'],
+  'warsaw': ['poland', 'warsaw'],
+  'kyiv': ['ukraine', 'kyiv', 'kiev'],
+  'moscow': ['russia', 'moscow'],
+  'istanbul': ['turkey', 'istanbul'],
+  'jerusalem': ['israel', 'jerusalem'],
+  'tel aviv': ['israel', 'tel aviv'],
+  'tehran': ['iran', 'tehran'],
+  'dubai': ['united arab emirates', 'dubai'],
+  'new delhi': ['india', 'new delhi', 'Delhi'],
+  'mumbai': ['india', 'mumbai'],
+  'beijing': ['china', 'beijing'],
+  'shanghai': ['china', 'shanghai'],
+  'tokyo': ['japan', 'tokyo'],
+  'seoul': ['south korea', 'seoul'],
+  'sydney': ['australia', 'Sydney'],
+  'cairo': ['egypt', 'cairo'],
+  'lagos': ['nigeria', 'lagos'],
+  'nairobi': ['kenya', 'nairobi'],
+  'johannesburg': ['south africa', 'johannesburg'],
+  'sao paulo': ['brazil', 'sao paulo', 'são paulo'],
+  'mexico city': ['mexico', 'mexico city'],
+};
+
+// ─── Topics ───────────────────────────────────────────────────────────────────
+
+// Topic tag → cue words and phrases; a topic needs several cues to be tagged
+const TOPICS = {
+  'politics': ['election', 'elections', 'vote', 'voters', 'parliament', 'senate', 'minister', 'president', 'prime minister', 'campaign', 'lawmakers', 'legislation', 'coalition', 'opposition', 'government', 'policy'],
+  'elections': ['election', 'elections', 'ballot', 'polls', 'voters', 'turnout', 'candidate', 'candidates', 'runoff', 'referendum'],
+  'economy': ['economy', 'economic', 'gdp', 'inflation', 'interest rate', 'interest rates', 'recession', 'unemployment', 'central bank', 'growth', 'tariff', 'tariffs', 'trade'],
+  'stock market': ['stocks', 'shares', 'stock market', 'nasdaq', 'dow jones', 's&p 500', 'ftse', 'dax', 'investors', 'equities', 'wall street', 'index'],
+  'business': ['company', 'companies', 'ceo', 'earnings', 'revenue', 'profit', 'acquisition', 'merger', 'startup', 'investors', 'quarterly', 'sales'],
+  'technology': ['technology', 'tech', 'software', 'app', 'smartphone', 'chip', 'chips', 'semiconductor', 'internet', 'cloud', 'data', 'digital', 'cyber', 'computer'],
+  'artificial intelligence': ['artificial intelligence', 'ai', 'machine learning', 'chatbot', 'generative', 'llm', 'neural', 'openai', 'chatgpt'],
+  'cryptocurrency': ['bitcoin', 'crypto', 'cryptocurrency', 'ethereum', 'blockchain', 'token', 'stablecoin'],
+  'health': ['health', 'hospital', 'patients', 'doctors', 'disease', 'vaccine', 'virus', 'cancer', 'treatment', 'medical', 'medicine', 'outbreak'],
+  'science': ['scientists', 'research', 'researchers', 'study', 'discovery', 'space', 'telescope', 'physics', 'species', 'laboratory'],
+  'climate change': ['climate', 'climate change', 'emissions', 'carbon', 'global warming', 'greenhouse', 'net zero', 'renewable', 'fossil fuels'],
+  'natural disasters': ['earthquake', 'flood', 'floods', 'flooding', 'hurricane', 'typhoon', 'cyclone', 'wildfire', 'wildfires', 'tsunami', 'landslide', 'eruption', 'drought'],
+  'crime': ['police', 'arrested', 'arrest', 'suspect', 'murder', 'robbery', 'court', 'charged', 'trial', 'prison', 'sentenced', 'investigation', 'fraud'],
+  'war and conflict': ['war', 'troops', 'military', 'army', 'missile', 'missiles', 'airstrike', 'airstrikes', 'ceasefire', 'invasion', 'drone', 'drones', 'soldiers', 'offensive'],
+  'sports': ['match', 'goal', 'goals', 'league', 'championship', 'tournament', 'coach', 'season', 'cup', 'olympics', 'players', 'striker', 'final', 'scored'],
+  'entertainment': ['film', 'movie', 'music', 'album', 'singer', 'actor', 'actress', 'celebrity', 'concert', 'festival', 'series', 'box office', 'streaming'],
+  'education': ['school', 'schools', 'students', 'teachers', 'university', 'universities', 'education', 'campus', 'exam', 'exams'],
+  'energy': ['oil', 'gas', 'energy', 'electricity', 'power grid', 'nuclear', 'solar', 'wind power', 'opec', 'barrel', 'fuel'],
+  'transportation': ['airline', 'airlines', 'flight', 'flights', 'airport', 'train', 'rail', 'railway', 'traffic', 'cars', 'electric vehicle', 'electric vehicles', 'shipping'],
+};
+
+module.exports = { ORGANIZATIONS, CONTINENTS, COUNTRIES, CITIES, TOPICS };
@@ -0,0 +1,70 @@
+/**
+ * English sentiment lexicon (AFINN-style valences from -3 to +3), tuned for
+ * news copy: words that are neutral in reporting ("charge", "cut", "fire")
+ * are left out because their sense depends on context.
+ */
+const VALENCES = {
+  3: `outstanding superb excellent brilliant triumph triumphant thrilled delighted breakthrough masterpiece
+    extraordinary spectacular wonderful fantastic euphoric jubilant heroic heroes hero miraculous flawless
+    landmark historic`,
+  2: `win wins won winning victory victories success successful succeed succeeds succeeded celebrate celebrates
+    celebrated celebration boost boosts boosted surge surges surged soar soars soared rally rallies rallied
+    gain gains gained thrive thrives thriving praise praised praises hope hopeful hopes optimism optimistic
+    record-breaking growth grows grew growing improve improves improved improvement recovery recover
+    recovered recovers rescue rescued rescues safe safely peace peaceful agreement deal deals award awarded
+    awards honour honored honoured honor happy happiness joy joyful love loved loves beautiful great best
+    better strong stronger strongest benefit benefits beneficial innovative innovation cure cured cures
+    progress profit profits profitable healthy support supported supports welcome welcomed welcomes
+    approve approved approves applaud applauded champion champions resilient resilience upbeat`,
+  1: `good positive rise rises rose rising higher increase increased increases stable stability steady
+    calm agree agreed agrees fair fairly relief relieved help helps helped helping ease eased eases easing
+    secure secured backing boosting expand expanded expands expansion launch launched launches
+    new-high rebound rebounds rebounded reopen reopened reopens restore restored restores promise promising
+    reward rewarded confident confidence upgrade upgraded upgrades efficient clean fresh friendly kind
+    generous protect protected protects promote promoted achieve achieved achievement solve solved
+    solution solutions unite united cooperation cooperate collaborate partnership donate donated donation
+    volunteer volunteers`,
+  '-1': `fall falls fell falling decline declines declined declining drop drops dropped dip dips dipped lower
+    decrease decreased decreases slow slows slowed slowdown weak weaker weakness delay delayed delays concern
+    concerns concerned worry worries worried doubt doubts uncertain uncertainty risk risks risky warn warns
+    warned warning warnings problem problems issue issues challenge challenges difficult difficulty struggle
+    struggles struggled pressure pressures tension tensions dispute disputes disputed criticism criticise
+    criticize criticised criticized critic critics complaint complaints protest protests protested strike
+    strikes shortage shortages cost costly debt deficit inflation layoff layoffs unemployment
+    resign resigned resigns resignation suspend suspended suspends cancel cancelled canceled cancels
+    oppose opposed opposes controversy controversial mistake mistakes error errors fail fails`,
+  '-2': `failed failure failures loss losses lose loses losing lost crisis crises slump slumps slumped plunge
+    plunges plunged tumble tumbles tumbled crash crashed crashes collapse collapsed collapses recession
+    bankrupt bankruptcy scandal scandals fraud corruption corrupt accuse accused accuses accusation
+    allegation allegations arrest arrested arrests charged guilty illegal injure injured injures injuries
+    injury damage damaged damages destroy destroyed destruction flood flooding floods drought wildfire
+    wildfires storm storms hurricane earthquake outbreak disease epidemic pandemic threat threats threaten
+    threatened threatens danger dangerous violence violent conflict clash clashes clashed attack attacks
+    attacked fear fears feared angry anger outrage outraged sad sadness grief mourn mourned mourning
+    suffer suffers suffered suffering victim victims poverty hunger famine condemn condemned condemns
+    ban banned bans sanction sanctions lawsuit sued sues hack hacked breach leak leaked toxic pollution`,
+  '-3': `kill kills killed killing killings dead death deaths die died dies dying deadly fatal fatalities murder
+    murdered murders massacre war wars terror terrorism terrorist terrorists bomb bombs bombing bombed
+    explosion shooting shootings shot catastrophe catastrophic disaster disasters devastating devastated
+    tragedy tragic horrific horror atrocity atrocities genocide abuse abused rape torture hostage hostages
+    invasion invaded`,
+};
+
+const LEXICON = new Map(
+  Object.entries(VALENCES).flatMap(([score, words]) =>
+    words.split(/\s+/).filter(Boolean).map((word) => [word, Number(score)]))
+);
+
+// Flip the valence of the next few words
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'nor', 'neither', 'hardly', 'barely', 'cannot',
+  "isn't", "wasn't", "aren't", "weren't", "don't", "doesn't", "didn't", "won't", "can't", "couldn't", "shouldn't",
+]);
+
+// Scale the valence of the next word
+const INTENSIFIERS = new Map([
+  ['very', 1.5], ['extremely', 2], ['highly', 1.5], ['deeply', 1.5], ['seriously', 1.5], ['severely', 1.5],
+  ['major', 1.3], ['massive', 1.5], ['huge', 1.5], ['slightly', 0.5], ['somewhat', 0.5], ['mildly', 0.5],
+]);
+
+module.exports = { LEXICON, NEGATORS, INTENSIFIERS };
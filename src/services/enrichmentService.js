@@ -0,0 +1,351 @@
+const Article = require('../models/Article');
+const TermStat = require('../models/TermStat');
+const { getStopwords } = require('../utils/stopwords');
+const { toLanguageCode } = require('../utils/isoCodes');
+const { LEXICON, NEGATORS, INTENSIFIERS } = require('./enrichment/sentimentLexicon');
+const { ORGANIZATIONS, CONTINENTS, COUNTRIES, CITIES, TOPICS } = require('./enrichment/dictionaries');
+const logger = require('../utils/logger');
+
+/**
+ * Offline enrichment after upsertArticles: TF-IDF keywords, lexicon
+ * sentiment, and dictionary organization/region/topic tags. Only fills
+ * fields the provider left empty, so paid-plan values always win.
+ */
+
+const ENABLED = process.env.ENRICHMENT_ENABLED !== 'false';
+const MAX_KEYWORDS = parseInt(process.env.ENRICHMENT_MAX_KEYWORDS, 10) || 8;
+const TERM_TTL_DAYS = parseInt(process.env.ENRICHMENT_TERM_TTL_DAYS, 10) || 30;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_TAGS = 3;
+const MAX_ORGS = 10;
+const MIN_TOPIC_CUES = 2;
+const SENTIMENT_THRESHOLD = 0.05;
+const DOCS_TERM = '*';
+// Phrases are more specific than their words, so they win ties
+const BIGRAM_BOOST = 1.5;
+
+// Fields this stage may fill
+const ENRICHED_FIELDS = ['keywords', 'sentiment', 'sentiment_stats', 'ai_tag', 'ai_org', 'ai_region'];
+
+// Languages with sentiment and entity dictionaries
+const DICTIONARY_LANGUAGES = ['en'];
+
+// ─── Tokenizing ───────────────────────────────────────────────────────────────
+
+// Words with inner punctuation kept ("amazon.com", "J&J", "G-7", "OPEC+")
+const WORD = /[\p{L}\p{N}]+(?:[&'’.-][\p{L}\p{N}]+)*\+?/gu;
+
+/**
+ * Case-preserving word tokens; "U.S." becomes "US" and possessives lose their "'s"
+ */
+const words = (text) =>
+  (String(text || '')
+    .replace(/\b(?:[A-Z]\.){2,}/g, (m) => m.replace(/\./g, ''))
+    .match(WORD) || [])
+    .map((w) => w.replace(/['’]s$/i, ''));
+
+const articleText = (article) => [article.title, article.description].filter(Boolean).join('. ');
+
+// ─── Dictionary Tagging ───────────────────────────────────────────────────────
+
+/**
+ * Longest-phrase-first matcher over a { tag: [phrases] } dictionary.
+ * Returns a function mapping tokens to a Map of tag → match count.
+ */
+const createMatcher = (...dictionaries) => {
+  const exact = new Map();
+  const folded = new Map();
+  let maxWords = 1;
+
+  const add = (map, key, tag) => map.set(key, [...(map.get(key) || []), tag]);
+
+  dictionaries.forEach((dictionary) => {
+    Object.entries(dictionary).forEach(([tag, phrases]) => {
+      phrases.forEach((phrase) => {
+        const key = words(phrase).join(' ');
+        maxWords = Math.max(maxWords, key.split(' ').length);
+        if (/\p{Lu}/u.test(phrase)) add(exact, key, tag);
+        else add(folded, key.toLowerCase(), tag);
+      });
+    });
+  });
+
+  return (tokens) => {
+    const found = new Map();
+    for (let i = 0; i < tokens.length;) {
+      let n = Math.min(maxWords, tokens.length - i);
+      let tags = null;
+      while (n > 0) {
+        const phrase = tokens.slice(i, i + n).join(' ');
+        tags = exact.get(phrase) || folded.get(phrase.toLowerCase());
+        if (tags) break;
+        n--;
+      }
+      if (tags) {
+        tags.forEach((tag) => found.set(tag, (found.get(tag) || 0) + 1));
+        i += n;
+      } else {
+        i++;
+      }
+    }
+    return found;
+  };
+};
+
+// Regions are tagged with their parents too: city → country → continent
+const PARENT = {
+  ...Object.fromEntries(Object.entries(COUNTRIES).map(([country, [continent]]) => [country, continent])),
+  ...Object.fromEntries(Object.entries(CITIES).map(([city, [country]]) => [city, country])),
+};
+const aliases = (dictionary) =>
+  Object.fromEntries(Object.entries(dictionary).map(([tag, [, ...phrases]]) => [tag, [tag, ...phrases]]));
+
+const matchOrganizations = createMatcher(ORGANIZATIONS);
+const matchRegions = createMatcher(CONTINENTS, aliases(COUNTRIES), aliases(CITIES));
+const matchTopics = createMatcher(TOPICS);
+
+const byCount = (found) => [...found.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+const tagOrganizations = (tokens) => byCount(matchOrganizations(tokens)).slice(0, MAX_ORGS).map(([tag]) => tag);
+
+const tagRegions = (tokens) => {
+  const regions = new Set();
+  byCount(matchRegions(tokens)).forEach(([tag]) => {
+    for (let region = tag; region; region = PARENT[region]) regions.add(region);
+  });
+  return [...regions];
+};
+
+const tagTopics = (tokens) =>
+  byCount(matchTopics(tokens.map((t) => t.toLowerCase())))
+    .filter(([, count]) => count >= MIN_TOPIC_CUES)
+    .slice(0, MAX_TAGS)
+    .map(([tag]) => tag);
+
+// ─── Sentiment ────────────────────────────────────────────────────────────────
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Lexicon sentiment: negators flip the next few words, intensifiers scale
+ * the next one. The label comes from the average valence per word; stats
+ * are the shares of positive, neutral and negative words in percent.
+ */
+const scoreSentiment = (tokens) => {
+  const lower = tokens.map((t) => t.toLowerCase());
+  if (lower.length === 0) return null;
+
+  let total = 0;
+  let positive = 0;
+  let negative = 0;
+  let negated = 0;
+  let boost = 1;
+
+  lower.forEach((token) => {
+    if (NEGATORS.has(token)) {
+      negated = 3;
+      return;
+    }
+    if (INTENSIFIERS.has(token)) {
+      boost = INTENSIFIERS.get(token);
+      return;
+    }
+
+    let valence = (LEXICON.get(token) || 0) * boost;
+    if (negated > 0) {
+      valence = -valence;
+      negated--;
+    }
+    boost = 1;
+
+    total += valence;
+    if (valence > 0) positive++;
+    if (valence < 0) negative++;
+  });
+
+  const comparative = total / lower.length;
+  const sentiment = comparative > SENTIMENT_THRESHOLD ? 'positive'
+    : comparative < -SENTIMENT_THRESHOLD ? 'negative'
+      : 'neutral';
+
+  const pos = round((positive / lower.length) * 100);
+  const neg = round((negative / lower.length) * 100);
+  return {
+    sentiment,
+    sentiment_stats: { positive: pos, neutral: round(100 - pos - neg), negative: neg },
+  };
+};
+
+// ─── Keywords ─────────────────────────────────────────────────────────────────
+
+/**
+ * Weighted term frequencies of unigrams and bigrams (title counts double).
+ * Stop words break bigrams rather than being skipped over.
+ */
+const termFrequencies = (article) => {
+  const stopwords = getStopwords(article.language);
+  const isTerm = (t) => t && t.length > 2 && !stopwords.has(t) && !/^\d+$/.test(t);
+  const counts = new Map();
+  const add = (term, weight) => counts.set(term, (counts.get(term) || 0) + weight);
+
+  [[article.title, 2], [article.description, 1]].forEach(([text, weight]) => {
+    const tokens = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    tokens.forEach((token, i) => {
+      if (!isTerm(token)) return;
+      add(token, weight);
+      if (isTerm(tokens[i + 1])) add(`${token} ${tokens[i + 1]}`, weight);
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Count each article once per term in the per-language document
+ * frequencies, then read back the frequencies for every term in the batch
+ */
+const updateDocumentFrequencies = async (batch) => {
+  const increments = new Map();
+  batch.forEach(({ lang, terms }) => {
+    [DOCS_TERM, ...terms.keys()].forEach((term) => {
+      const key = `${lang}:${term}`;
+      increments.set(key, (increments.get(key) || 0) + 1);
+    });
+  });
+  if (increments.size === 0) return new Map();
+
+  const now = new Date();
+  await TermStat.bulkWrite(
+    [...increments].map(([key, count]) => ({
+      updateOne: { filter: { _id: key }, update: { $inc: { df: count }, $set: { seenAt: now } }, upsert: true },
+    })),
+    { ordered: false }
+  );
+
+  const stats = await TermStat.find({ _id: { $in: [...increments.keys()] } }).lean();
+  return new Map(stats.map((s) => [s._id, s.df]));
+};
+
+let lastPrune = 0;
+
+/**
+ * Keep the vocabulary from growing forever: drop terms only one article ever
+ * contained once they go ENRICHMENT_TERM_TTL_DAYS without appearing again.
+ * Scores don't change, since a missing term already counts as df = 1.
+ * Runs at most once a day per process.
+ */
+const pruneTermStats = async () => {
+  if (Date.now() - lastPrune < PRUNE_INTERVAL_MS) return 0;
+  lastPrune = Date.now();
+
+  const cutoff = new Date(Date.now() - TERM_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await TermStat.deleteMany({
+    df: { $lte: 1 },
+    seenAt: { $not: { $gte: cutoff } },
+    _id: { $not: /:\*$/ },
+  });
+  if (deletedCount > 0) logger.info(`Pruned ${deletedCount} rare keyword term(s)`);
+  return deletedCount;
+};
+
+const topKeywords = (terms, lang, frequencies) => {
+  const docs = frequencies.get(`${lang}:${DOCS_TERM}`) || 1;
+  const scored = [...terms]
+    .map(([term, tf]) => {
+      const idf = Math.log((docs + 1) / ((frequencies.get(`${lang}:${term}`) || 1) + 1)) + 1;
+      return [term, tf * idf * (term.includes(' ') ? BIGRAM_BOOST : 1)];
+    })
+    // Stable sort: ties keep text order, so earlier terms win
+    .sort((a, b) => b[1] - a[1]);
+
+  // Skip terms sharing a word with a better one ("change" after "climate change")
+  const chosen = [];
+  const used = new Set();
+  for (const [term] of scored) {
+    if (chosen.length >= MAX_KEYWORDS) break;
+    const parts = term.split(' ');
+    if (parts.some((part) => used.has(part))) continue;
+    chosen.push(term);
+    parts.forEach((part) => used.add(part));
+  }
+  return chosen;
+};
+
+// ─── Enrichment ───────────────────────────────────────────────────────────────
+
+const isEmpty = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Fields to $set on one article, given its term frequencies and the batch's
+ * document frequencies. Only empty fields are filled.
+ */
+const enrichmentFields = (article, terms, lang, frequencies) => {
+  const fields = { enrichedAt: new Date() };
+  const fill = (field, value) => {
+    if (isEmpty(article[field]) && !isEmpty(value)) fields[field] = value;
+  };
+
+  fill('keywords', topKeywords(terms, lang, frequencies));
+
+  if (DICTIONARY_LANGUAGES.includes(lang)) {
+    const tokens = words(articleText(article));
+    const sentiment = scoreSentiment(tokens);
+    if (sentiment && isEmpty(article.sentiment)) {
+      fill('sentiment', sentiment.sentiment);
+      fill('sentiment_stats', sentiment.sentiment_stats);
+    }
+    fill('ai_org', tagOrganizations(tokens));
+    fill('ai_region', tagRegions(tokens));
+    fill('ai_tag', tagTopics(tokens));
+  }
+
+  return fields;
+};
+
+/**
+ * Enrich the given articles that haven't been enriched yet. Returns the
+ * number of articles enriched.
+ */
+const enrichArticles = async (articleIds) => {
+  if (!ENABLED || !articleIds || articleIds.length === 0) return 0;
+
+  const pending = await Article.find(
+    { article_id: { $in: articleIds }, enrichedAt: null },
+    { title: 1, description: 1, language: 1, keywords: 1, sentiment: 1, sentiment_stats: 1, ai_tag: 1, ai_org: 1, ai_region: 1 }
+  ).lean();
+  if (pending.length === 0) return 0;
+
+  // Unknown languages still get keywords, keyed under their own name
+  const batch = pending.map((article) => ({
+    article,
+    lang: toLanguageCode(article.language) || String(article.language || 'unknown').toLowerCase(),
+    terms: termFrequencies(article),
+  }));
+  const frequencies = await updateDocumentFrequencies(batch);
+
+  await Article.bulkWrite(
+    batch.map(({ article, lang, terms }) => ({
+      updateOne: {
+        filter: { _id: article._id },
+        update: { $set: enrichmentFields(article, terms, lang, frequencies) },
+      },
+    })),
+    { ordered: false }
+  );
+
+  logger.debug(`Enriched ${pending.length} article(s)`);
+  await pruneTermStats().catch((err) => logger.warn(`Failed to prune keyword terms: ${err.message}`));
+  return pending.length;
+};
+
+module.exports = {
+  ENABLED,
+  ENRICHED_FIELDS,
+  enrichArticles,
+  scoreSentiment,
+  tagOrganizations,
+  tagRegions,
+  tagTopics,
+  termFrequencies,
+  words,
+};
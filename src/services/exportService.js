@@ -0,0 +1,156 @@
+/**
+ * Streaming serializers for GET /api/news/export.
+ * Each format exposes { contentType, extension, head(meta), row(doc), tail() }.
+ */
+
+const DEFAULT_FIELDS = [
+  'article_id', 'title', 'description', 'link', 'creator', 'pubDate', 'source_id', 'source_name',
+  'image_url', 'category', 'country', 'language', 'datatype',
+];
+
+// Everything a client may ask for via `fields`
+const EXPORTABLE_FIELDS = [
+  ...DEFAULT_FIELDS,
+  'keywords', 'content', 'video_url', 'pubDateTZ', 'source_url', 'source_icon', 'source_priority',
+  'ai_tag', 'sentiment', 'sentiment_stats', 'ai_region', 'ai_org', 'duplicate', 'provider', 'cluster_id',
+  'createdAt', 'updatedAt',
+];
+
+// Fields the feed formats always need
+const FEED_FIELDS = ['article_id', 'title', 'description', 'link', 'creator', 'pubDate', 'category', 'source_name', 'image_url'];
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    // Strip characters that are not allowed in XML 1.0
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let str;
+  if (value instanceof Date) str = value.toISOString();
+  else if (Array.isArray(value)) str = value.join('; ');
+  else if (typeof value === 'object') str = JSON.stringify(value);
+  else str = String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const csv = (fields) => ({
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  head: () => `${fields.join(',')}\r\n`,
+  row: (doc) => `${fields.map((f) => csvCell(doc[f])).join(',')}\r\n`,
+  tail: () => '',
+});
+
+const ndjson = (fields) => ({
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'ndjson',
+  head: () => '',
+  row: (doc) => `${JSON.stringify(Object.fromEntries(fields.map((f) => [f, doc[f] ?? null])))}\n`,
+  tail: () => '',
+});
+
+const rss = () => ({
+  contentType: 'application/rss+xml; charset=utf-8',
+  extension: 'xml',
+  head: ({ title, selfUrl, description }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(selfUrl)}</link>`,
+    `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<description>${escapeXml(description)}</description>`,
+    `<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    '',
+  ].join('\n'),
+  row: (doc) => [
+    '<item>',
+    `<title>${escapeXml(doc.title)}</title>`,
+    doc.link ? `<link>${escapeXml(doc.link)}</link>` : '',
+    `<guid isPermaLink="false">${escapeXml(doc.article_id)}</guid>`,
+    doc.pubDate ? `<pubDate>${new Date(doc.pubDate).toUTCString()}</pubDate>` : '',
+    doc.description ? `<description>${escapeXml(doc.description)}</description>` : '',
+    ...(doc.creator || []).map((c) => `<dc:creator>${escapeXml(c)}</dc:creator>`),
+    ...(doc.category || []).map((c) => `<category>${escapeXml(c)}</category>`),
+    doc.image_url ? `<enclosure url="${escapeXml(doc.image_url)}" type="image/jpeg" length="0"/>` : '',
+    '</item>',
+    '',
+  ].filter((line) => line !== '').join('\n') + '\n',
+  tail: () => '</channel>\n</rss>\n',
+});
+
+const atom = () => ({
+  contentType: 'application/atom+xml; charset=utf-8',
+  extension: 'xml',
+  head: ({ title, selfUrl, description }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(selfUrl)}</id>`,
+    `<title>${escapeXml(title)}</title>`,
+    `<subtitle>${escapeXml(description)}</subtitle>`,
+    `<link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `<updated>${new Date().toISOString()}</updated>`,
+    '',
+  ].join('\n'),
+  row: (doc) => [
+    '<entry>',
+    `<id>urn:article:${escapeXml(doc.article_id)}</id>`,
+    `<title>${escapeXml(doc.title)}</title>`,
+    doc.link ? `<link rel="alternate" href="${escapeXml(doc.link)}"/>` : '',
+    `<updated>${new Date(doc.pubDate || Date.now()).toISOString()}</updated>`,
+    doc.pubDate ? `<published>${new Date(doc.pubDate).toISOString()}</published>` : '',
+    doc.description ? `<summary>${escapeXml(doc.description)}</summary>` : '',
+    ...(doc.creator?.length ? doc.creator : [doc.source_name].filter(Boolean))
+      .map((c) => `<author><name>${escapeXml(c)}</name></author>`),
+    ...(doc.category || []).map((c) => `<category term="${escapeXml(c)}"/>`),
+    '</entry>',
+    '',
+  ].filter((line) => line !== '').join('\n') + '\n',
+  tail: () => '</feed>\n',
+});
+
+const FORMATS = { csv, ndjson, rss, atom };
+
+/**
+ * Resolve the requested format and field list.
+ * Throws a 400 error for unknown formats or fields.
+ */
+const getExportFormat = (format = 'ndjson', fieldsParam) => {
+  const factory = FORMATS[format];
+  if (!factory) {
+    const error = new Error(`Unsupported export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (format === 'rss' || format === 'atom') {
+    return { formatter: factory(), fields: FEED_FIELDS, isFeed: true };
+  }
+
+  const fields = fieldsParam?.length
+    ? (Array.isArray(fieldsParam) ? fieldsParam : fieldsParam.split(',')).map((f) => f.trim()).filter(Boolean)
+    : DEFAULT_FIELDS;
+
+  const unknown = fields.filter((f) => !EXPORTABLE_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown export field(s): ${unknown.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { formatter: factory(fields), fields, isFeed: false };
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 50000;
+
+module.exports = { getExportFormat, EXPORT_FORMATS, EXPORT_MAX_ROWS, EXPORTABLE_FIELDS, escapeXml };
@@ -0,0 +1,29 @@
+const { sleep } = require('../../utils/retry');
+
+// Hosts remembered before slots already in the past are swept out
+const MAX_HOSTS = 1000;
+
+// hostname → earliest time the next request may start
+const nextSlot = new Map();
+
+const sweep = (now) => {
+  nextSlot.forEach((slot, hostname) => {
+    if (slot <= now) nextSlot.delete(hostname);
+  });
+};
+
+/**
+ * Reserve the next request slot for a host and wait for it. Slots are
+ * handed out in call order, so concurrent workers queue instead of bursting.
+ * Every request to a site, robots.txt included, should go through here.
+ */
+const waitForDomain = async (hostname, intervalMs, signal) => {
+  const now = Date.now();
+  if (nextSlot.size >= MAX_HOSTS) sweep(now);
+
+  const slot = Math.max(now, nextSlot.get(hostname) || 0);
+  nextSlot.set(hostname, slot + intervalMs);
+  if (slot > now) await sleep(slot - now, signal);
+};
+
+module.exports = { waitForDomain };
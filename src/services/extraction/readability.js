@@ -0,0 +1,175 @@
+const cheerio = require('cheerio');
+
+/**
+ * Readability-style main content extraction: score block containers by the
+ * paragraphs they hold, pick the best one (plus qualifying siblings) and
+ * return its text. Byline and lead image come from metadata first
+ * (JSON-LD, Open Graph, meta tags) and markup second.
+ */
+
+const UNLIKELY = /comment|share|social|promo|related|sidebar|footer|header|masthead|nav|menu|subscribe|newsletter|advert|sponsor|cookie|consent|popup|modal|banner|breadcrumb|pagination|widget|outbrain|taboola/i;
+const LIKELY = /article|body|content|entry|main|page|post|text|story|blog/i;
+const NOISE_TAGS = 'script, style, noscript, iframe, form, nav, footer, aside, svg, canvas, button, input, select, template, dialog';
+const NOISE_ROLES = '[role="navigation"], [role="banner"], [role="complementary"], [role="contentinfo"], [role="dialog"], [aria-hidden="true"]';
+const BLOCKS = 'p, h2, h3, h4, li, blockquote, pre';
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_CONTENT_LENGTH = parseInt(process.env.EXTRACTION_MIN_LENGTH, 10) || 200;
+
+const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+const classWeight = (el) => {
+  const signature = `${el.attribs?.class || ''} ${el.attribs?.id || ''}`;
+  let weight = 0;
+  if (UNLIKELY.test(signature)) weight -= 25;
+  if (LIKELY.test(signature)) weight += 25;
+  return weight;
+};
+
+const TAG_WEIGHT = { article: 10, main: 10, section: 5, div: 5, td: 3, blockquote: 3, pre: 3 };
+
+const linkDensity = ($, el) => {
+  const length = clean($(el).text()).length;
+  if (!length) return 0;
+  const linkLength = $(el).find('a').toArray().reduce((sum, a) => sum + clean($(a).text()).length, 0);
+  return linkLength / length;
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+// ─── Metadata ─────────────────────────────────────────────────────────────────
+
+/**
+ * NewsArticle-ish objects from JSON-LD blocks (handles @graph and arrays)
+ */
+const jsonLdObjects = ($) =>
+  $('script[type="application/ld+json"]').toArray().flatMap((el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      return [data].flat().flatMap((item) => (item && item['@graph'] ? item['@graph'] : [item]));
+    } catch {
+      return [];
+    }
+  }).filter((item) => item && typeof item === 'object');
+
+const personName = (value) => {
+  const people = [value].flat().map((p) => (typeof p === 'string' ? p : p?.name)).filter(Boolean);
+  return people.length ? clean(people.join(', ')) : null;
+};
+
+const findByline = ($, ld) => {
+  const fromLd = ld.map((item) => personName(item.author)).find(Boolean);
+  if (fromLd) return fromLd;
+
+  const meta = $('meta[name="author"], meta[property="article:author"], meta[name="byl"]').attr('content');
+  // article:author is often a profile URL rather than a name
+  if (meta && !/^https?:\/\//.test(meta)) return clean(meta).replace(/^by\s+/i, '');
+
+  const el = $('[rel="author"], [itemprop="author"], .byline, .author, .article-author').first();
+  const text = el.length ? clean(el.text()).replace(/^by\s+/i, '') : '';
+  return text && text.length < 100 ? text : null;
+};
+
+const findLeadImage = ($, ld, baseUrl) => {
+  const ldImage = ld.map((item) => {
+    const image = [item.image].flat()[0];
+    return typeof image === 'string' ? image : image?.url;
+  }).find(Boolean);
+
+  return [
+    $('meta[property="og:image"]').attr('content'),
+    $('meta[name="twitter:image"]').attr('content'),
+    ldImage,
+    $('link[rel="image_src"]').attr('href'),
+  ].map((value) => resolveUrl(value, baseUrl)).find(Boolean) || null;
+};
+
+// ─── Content ──────────────────────────────────────────────────────────────────
+
+const scoreCandidates = ($, root) => {
+  const scores = new Map();
+
+  const addScore = (el, amount) => {
+    if (!el || el.type !== 'tag') return;
+    if (!scores.has(el)) scores.set(el, (TAG_WEIGHT[el.name] || 0) + classWeight(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  root.find('p, pre, td').each((_, el) => {
+    const text = clean($(el).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score = 1 + (text.match(/[,،、，]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, score);
+    addScore(el.parent?.parent, score / 2);
+  });
+
+  // Scale by how much of each candidate is link text
+  scores.forEach((score, el) => scores.set(el, score * (1 - linkDensity($, el))));
+  return scores;
+};
+
+const blockText = ($, container) => {
+  const blocks = $(container).is(BLOCKS) ? [container] : $(container).find(BLOCKS).toArray();
+  return blocks
+    // Nested blocks (li > p) would otherwise be read twice
+    .filter((el) => !$(el).parents(BLOCKS).toArray().some((parent) => blocks.includes(parent)))
+    .filter((el) => linkDensity($, el) < 0.5)
+    .map((el) => clean($(el).text()))
+    .filter(Boolean);
+};
+
+/**
+ * Extract { content, byline, imageUrl, length } from an HTML document.
+ * `content` is null when nothing article-like was found.
+ */
+const extractReadable = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const ld = jsonLdObjects($);
+  const byline = findByline($, ld);
+  const imageUrl = findLeadImage($, ld, baseUrl);
+
+  $(NOISE_TAGS).remove();
+  $(NOISE_ROLES).remove();
+  $('body *').each((_, el) => {
+    if (el.name === 'article' || el.name === 'main' || el.name === 'body') return;
+    if (classWeight(el) < 0 && clean($(el).text()).length < 1000) $(el).remove();
+  });
+
+  const scores = scoreCandidates($, $('body').length ? $('body') : $.root());
+  let top = null;
+  scores.forEach((score, el) => {
+    if (!top || score > scores.get(top)) top = el;
+  });
+
+  if (!top) return { content: null, byline, imageUrl, length: 0 };
+
+  // Siblings scoring close to the winner usually hold the rest of the story
+  const threshold = Math.max(10, scores.get(top) * 0.2);
+  const parts = $(top).parent().children().toArray().flatMap((sibling) => {
+    if (sibling === top || (scores.get(sibling) || 0) >= threshold) return blockText($, sibling);
+    if (sibling.name === 'p') {
+      const text = clean($(sibling).text());
+      return text.length > 80 && linkDensity($, sibling) < 0.25 ? [text] : [];
+    }
+    return [];
+  });
+
+  const content = parts.join('\n\n');
+  if (content.length < MIN_CONTENT_LENGTH) return { content: null, byline, imageUrl, length: content.length };
+
+  // Fall back to the first image in the chosen container
+  const inlineImage = imageUrl || resolveUrl($(top).find('img[src]').first().attr('src'), baseUrl);
+
+  return { content, byline, imageUrl: inlineImage, length: content.length };
+};
+
+module.exports = { extractReadable };
@@ -0,0 +1,160 @@
+const axios = require('axios');
+const { waitForDomain } = require('./domainThrottle');
+const { MemoryStore } = require('../../utils/cache');
+const { publicRequestOptions } = require('../../utils/ssrfGuard');
+
+/**
+ * robots.txt handling per RFC 9309: groups matched by product token (or
+ * `*`), longest-match Allow/Disallow with `*` and `$` wildcards, and the
+ * non-standard Crawl-delay.
+ *
+ * An unavailable robots.txt (4xx) allows everything; an unreachable one
+ * (5xx, network error) disallows everything until it can be read.
+ */
+
+const CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const UNREACHABLE_TTL_MS = 10 * 60 * 1000;
+const MAX_BYTES = 500 * 1024;
+const MAX_ORIGINS = 5000;
+
+// origin → { rules, crawlDelayMs, unreachable }, least recently used evicted first
+const cache = new MemoryStore({ maxEntries: MAX_ORIGINS });
+
+/**
+ * Parse robots.txt into groups of { agents, rules, crawlDelayMs }
+ */
+const parseRobots = (text) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r\n|\r|\n/).forEach((raw) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow matches nothing
+      if (value) current.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) current.crawlDelayMs = seconds * 1000;
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Rules for our product token, merged across every group naming it, else the `*` groups
+ */
+const selectGroup = (groups, userAgent) => {
+  const token = userAgent.split('/')[0].trim().toLowerCase();
+  const named = groups.filter((g) => g.agents.includes(token));
+  const chosen = named.length > 0 ? named : groups.filter((g) => g.agents.includes('*'));
+
+  const delays = chosen.map((g) => g.crawlDelayMs).filter((d) => d !== null);
+  return {
+    rules: chosen.flatMap((g) => g.rules),
+    crawlDelayMs: delays.length > 0 ? Math.max(...delays) : null,
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern).split('*').map(escapeRegex).join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+// Compare paths in one percent-encoding form
+const normalizePath = (value) => {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Longest matching rule wins; on a tie Allow wins. No match means allowed.
+ */
+const isPathAllowed = (rules, path) => {
+  const target = normalizePath(path);
+  let best = null;
+
+  rules.forEach((rule) => {
+    if (!patternToRegex(normalizePath(rule.pattern)).test(target)) return;
+    const length = rule.pattern.length;
+    if (!best || length > best.length || (length === best.length && rule.allow)) {
+      best = { length, allow: rule.allow };
+    }
+  });
+
+  return best ? best.allow : true;
+};
+
+const fetchRobots = async (origin, userAgent) => {
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      ...publicRequestOptions,
+      responseType: 'text',
+      timeout: 10000,
+      maxContentLength: MAX_BYTES,
+      maxRedirects: 5,
+      headers: { 'User-Agent': userAgent },
+      validateStatus: () => true,
+    });
+
+    if (response.status >= 500) return { unreachable: true };
+    if (response.status >= 400) return { rules: [], crawlDelayMs: null };
+    return selectGroup(parseRobots(String(response.data)), userAgent);
+  } catch {
+    return { unreachable: true };
+  }
+};
+
+/**
+ * Robots verdict for a URL: { allowed, crawlDelayMs, unreachable }. A
+ * robots.txt fetch takes the host's next request slot like any other.
+ */
+const checkRobots = async (url, userAgent, { intervalMs = 0, signal } = {}) => {
+  const { origin, hostname, pathname, search } = new URL(url);
+  let entry = cache.get(origin);
+
+  if (!entry) {
+    await waitForDomain(hostname, intervalMs, signal);
+    entry = await fetchRobots(origin, userAgent);
+    cache.set(origin, entry, entry.unreachable ? UNREACHABLE_TTL_MS : CACHE_TTL_MS);
+  }
+
+  if (entry.unreachable) return { allowed: false, crawlDelayMs: null, unreachable: true };
+
+  return {
+    allowed: isPathAllowed(entry.rules, `${pathname}${search}`),
+    crawlDelayMs: entry.crawlDelayMs,
+    unreachable: false,
+  };
+};
+
+const clearRobotsCache = () => cache.clear();
+
+module.exports = { checkRobots, parseRobots, selectGroup, isPathAllowed, clearRobotsCache };
@@ -0,0 +1,232 @@
+const axios = require('axios');
+const Article = require('../models/Article');
+const { extractReadable } = require('./extraction/readability');
+const { checkRobots } = require('./extraction/robotsTxt');
+const { waitForDomain } = require('./extraction/domainThrottle');
+const { withRetry, isRetryableHttpError } = require('../utils/retry');
+const { invalidateCache } = require('../utils/cache');
+const { assertPublicUrl, publicRequestOptions } = require('../utils/ssrfGuard');
+const logger = require('../utils/logger');
+
+const USER_AGENT = process.env.EXTRACTION_USER_AGENT || 'NewsAggregatorBot/1.0';
+const CONCURRENCY = parseInt(process.env.EXTRACTION_CONCURRENCY, 10) || 4;
+const DOMAIN_INTERVAL_MS = parseInt(process.env.EXTRACTION_DOMAIN_INTERVAL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.EXTRACTION_RETRY_BASE_MS, 10) || 15 * 60 * 1000;
+const MAX_AGE_DAYS = parseInt(process.env.EXTRACTION_MAX_AGE_DAYS, 10) || 7;
+const BATCH_SIZE = parseInt(process.env.EXTRACTION_BATCH_SIZE, 10) || 200;
+const TIMEOUT_MS = parseInt(process.env.EXTRACTION_TIMEOUT_MS, 10) || 15000;
+const MAX_BYTES = parseInt(process.env.EXTRACTION_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// ─── Fetching ─────────────────────────────────────────────────────────────────
+
+const outcomeError = (status, message) => {
+  const error = new Error(message);
+  error.outcome = status;
+  return error;
+};
+
+const detectCharset = (contentType, buffer) => {
+  const header = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  if (header) return header[1];
+  const meta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 4096).toString('latin1'));
+  return meta ? meta[1] : 'utf-8';
+};
+
+const decode = (buffer, charset) => {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+/**
+ * GET an article page and return { html, url } with the body decoded from its
+ * declared charset. Non-HTML responses are rejected before parsing. Links come
+ * from feeds and import files, so neither the page nor any redirect may
+ * reach a private address.
+ */
+const fetchPage = async (url, signal) => {
+  const response = await axios.get(url, {
+    ...publicRequestOptions,
+    responseType: 'arraybuffer',
+    timeout: TIMEOUT_MS,
+    maxContentLength: MAX_BYTES,
+    maxRedirects: 5,
+    signal,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html, application/xhtml+xml;q=0.9, */*;q=0.5',
+    },
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (contentType && !/html/i.test(contentType)) {
+    throw outcomeError('skipped', `Not an HTML page (${contentType.split(';')[0]})`);
+  }
+
+  const buffer = Buffer.from(response.data);
+  return {
+    html: decode(buffer, detectCharset(contentType, buffer)),
+    // Relative URLs resolve against where redirects ended up
+    url: response.request?.res?.responseUrl || url,
+  };
+};
+
+/**
+ * Map a fetch/extract error onto an extraction status
+ */
+const classifyError = (error) => {
+  if (error.outcome) return error.outcome;
+  if (error.code === 'EPRIVATEADDR' || error.cause?.code === 'EPRIVATEADDR') return 'skipped';
+  const status = error.response?.status;
+  if (status === 408 || isRetryableHttpError(error)) return 'retry';
+  if (status >= 400) return 'failed';
+  if (error.code === 'ERR_FR_MAX_BODY_LENGTH_EXCEEDED' || /maxContentLength/.test(error.message)) return 'skipped';
+  // Anything else (DNS, TLS, parse errors) is worth another go later
+  return 'retry';
+};
+
+// ─── Extraction ───────────────────────────────────────────────────────────────
+
+/**
+ * Fetch and extract one article's page. Resolves to
+ * { status, content, image_url, byline, length, error }; never throws except on abort.
+ */
+const extractArticle = async (article, { signal } = {}) => {
+  let target;
+  try {
+    target = new URL(article.link);
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error('unsupported protocol');
+  } catch {
+    return { status: 'skipped', error: 'Link is not an http(s) URL' };
+  }
+
+  try {
+    await assertPublicUrl(target);
+
+    const robots = await checkRobots(target.toString(), USER_AGENT, { intervalMs: DOMAIN_INTERVAL_MS, signal });
+    if (robots.unreachable) return { status: 'retry', error: 'robots.txt unreachable' };
+    if (!robots.allowed) return { status: 'blocked', error: 'Disallowed by robots.txt' };
+
+    const intervalMs = Math.max(DOMAIN_INTERVAL_MS, robots.crawlDelayMs || 0);
+
+    const page = await withRetry(async () => {
+      await waitForDomain(target.hostname, intervalMs, signal);
+      return fetchPage(target.toString(), signal);
+    }, {
+      retries: 2,
+      baseDelayMs: 2000,
+      maxDelayMs: 30000,
+      signal,
+      shouldRetry: (error) => !error.outcome && isRetryableHttpError(error),
+    });
+
+    const result = extractReadable(page.html, page.url);
+    if (!result.content) return { status: 'failed', error: 'No readable content found', length: result.length };
+
+    return {
+      status: 'success',
+      content: result.content,
+      image_url: result.imageUrl,
+      byline: result.byline,
+      length: result.length,
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    const status = error.response?.status;
+    return { status: classifyError(error), error: status ? `HTTP ${status}` : (error.cause || error).message };
+  }
+};
+
+/**
+ * Persist an extraction result. Retries back off exponentially and give up
+ * as `failed` once EXTRACTION_MAX_ATTEMPTS is reached.
+ */
+const saveResult = async (article, result) => {
+  const attempts = (article.extraction?.attempts || 0) + 1;
+  const now = new Date();
+  let { status } = result;
+  let nextAttemptAt = null;
+
+  if (status === 'retry') {
+    if (attempts >= MAX_ATTEMPTS) status = 'failed';
+    else nextAttemptAt = new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1));
+  }
+
+  await Article.updateOne(
+    { _id: article._id },
+    {
+      $set: {
+        extraction: {
+          status,
+          content: result.content ?? null,
+          image_url: result.image_url ?? null,
+          byline: result.byline ?? null,
+          length: result.length ?? 0,
+          attempts,
+          error: result.error ?? null,
+          extractedAt: now,
+          nextAttemptAt,
+        },
+      },
+    },
+    { timestamps: false }
+  );
+
+  return status;
+};
+
+/**
+ * Articles that still need extraction: recent, linked, without provider
+ * content, and either never tried or due for a retry
+ */
+const findPending = (limit) =>
+  Article.find(
+    {
+      link: { $nin: [null, ''] },
+      content: { $in: [null, ''] },
+      pubDate: { $gte: new Date(Date.now() - MAX_AGE_DAYS * 86400000) },
+      $or: [
+        { 'extraction.status': null },
+        { 'extraction.status': 'retry', 'extraction.nextAttemptAt': { $lte: new Date() } },
+      ],
+    },
+    { _id: 1, article_id: 1, link: 1, 'extraction.attempts': 1 }
+  )
+    .sort({ pubDate: -1 })
+    .limit(limit)
+    .lean();
+
+/**
+ * Extract a batch of pending articles with EXTRACTION_CONCURRENCY workers.
+ * Returns counts per resulting status.
+ */
+const runExtraction = async ({ signal, limit = BATCH_SIZE } = {}) => {
+  const articles = await findPending(limit);
+  const summary = { processed: 0, success: 0, retry: 0, failed: 0, blocked: 0, skipped: 0 };
+  let index = 0;
+
+  const worker = async () => {
+    while (index < articles.length && !signal?.aborted) {
+      const article = articles[index++];
+      try {
+        const result = await extractArticle(article, { signal });
+        const status = await saveResult(article, result);
+        summary.processed++;
+        summary[status]++;
+      } catch (error) {
+        if (signal?.aborted) return;
+        logger.error(`Extraction failed for ${article.article_id}: ${error.message}`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, articles.length) }, worker));
+
+  if (summary.success > 0) await invalidateCache();
+  return summary;
+};
+
+module.exports = { extractArticle, runExtraction };
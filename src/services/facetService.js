@@ -0,0 +1,66 @@
+const Article = require('../models/Article');
+const { buildQuery } = require('../utils/buildQuery');
+
+// Facetable field → the list filter param that narrows it
+const FACETS = {
+  category: 'category',
+  language: 'language',
+  country: 'country',
+  source_id: 'source',
+  datatype: 'datatype',
+  creator: 'author',
+  sentiment: 'sentiment',
+  ai_tag: 'ai_tag',
+};
+const FACET_FIELDS = Object.keys(FACETS);
+const ARRAY_FIELDS = ['category', 'country', 'creator', 'ai_tag'];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => obj[k] !== undefined).map((k) => [k, obj[k]]));
+
+/**
+ * Per-value counts for each requested facet under the current list filters.
+ * Each facet ignores its own filter, so a multi-select shows what every
+ * other option would add. Filters that no requested facet owns (dates,
+ * search, ...) go into the top-level $match, which is also the only place
+ * MongoDB allows $text.
+ *
+ * With `collapse` (the list's one-article-per-story mode) a value counts
+ * story clusters with at least one matching article, which is the number
+ * of results selecting that value would give.
+ */
+const getFacets = async (filters, facets, { limit = 20, collapse = false } = {}) => {
+  const owned = facets.map((field) => FACETS[field]);
+  const baseParams = Object.keys(filters).filter((key) => !owned.includes(key));
+
+  const pipelines = Object.fromEntries(
+    facets.map((field) => {
+      // The other facets' filters still apply
+      const others = owned.filter((param) => param !== FACETS[field]);
+      const match = buildQuery(pick(filters, others));
+
+      return [field, [
+        ...(Object.keys(match).length > 0 ? [{ $match: match }] : []),
+        ...(ARRAY_FIELDS.includes(field) ? [{ $unwind: `$${field}` }] : []),
+        { $match: { [field]: { $nin: [null, ''] } } },
+        ...(collapse
+          ? [
+            { $group: { _id: { value: `$${field}`, cluster: { $ifNull: ['$cluster_id', '$article_id'] } } } },
+            { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+          ]
+          : [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }]),
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, value: '$_id', count: 1 } },
+      ]];
+    })
+  );
+
+  const [result] = await Article.aggregate([
+    { $match: buildQuery(pick(filters, baseParams)) },
+    { $facet: pipelines },
+  ]).allowDiskUse(true);
+
+  return result;
+};
+
+module.exports = { getFacets, FACET_FIELDS };
@@ -0,0 +1,96 @@
+const os = require('os');
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const logger = require('../utils/logger');
+
+const INSTANCE_ID = process.env.INSTANCE_ID
+  || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Try to take the named lease. Succeeds when the lock is free, expired or
+ * already ours. Returns the lock document, or null when another instance holds it.
+ */
+const acquireLock = async (name, { ttlMs, meta = {} }) => {
+  const now = new Date();
+
+  try {
+    return await Lock.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ expiresAt: { $lte: now } }, { owner: INSTANCE_ID }],
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          acquiredAt: now,
+          heartbeatAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs),
+          meta,
+        },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  } catch (error) {
+    // Lock exists, is live and belongs to someone else: the upsert collided
+    if (error.code === DUPLICATE_KEY) return null;
+    throw error;
+  }
+};
+
+/**
+ * Extend our lease. Returns false when the lease was lost to another instance.
+ */
+const renewLock = async (name, { ttlMs }) => {
+  const now = new Date();
+  const result = await Lock.updateOne(
+    { _id: name, owner: INSTANCE_ID },
+    { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + ttlMs) } }
+  );
+  return result.matchedCount === 1;
+};
+
+const releaseLock = async (name) => {
+  await Lock.deleteOne({ _id: name, owner: INSTANCE_ID });
+};
+
+/**
+ * Current live holder of the named lock, or null
+ */
+const getLockHolder = async (name) =>
+  Lock.findOne({ _id: name, expiresAt: { $gt: new Date() } }).lean();
+
+/**
+ * Acquire a lease and keep it alive with a heartbeat until release() is called.
+ * `onLost` fires if a heartbeat finds the lease has been taken over.
+ * Returns null when the lock is held elsewhere.
+ */
+const holdLock = async (name, { ttlMs, meta, onLost = () => {} }) => {
+  const lock = await acquireLock(name, { ttlMs, meta });
+  if (!lock) return null;
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const held = await renewLock(name, { ttlMs });
+      if (!held) {
+        clearInterval(heartbeat);
+        logger.error(`Lost lock "${name}" to another instance`);
+        onLost();
+      }
+    } catch (err) {
+      logger.warn(`Lock heartbeat for "${name}" failed: ${err.message}`);
+    }
+  }, Math.max(1000, Math.floor(ttlMs / 3)));
+  heartbeat.unref();
+
+  return {
+    lock,
+    release: async () => {
+      clearInterval(heartbeat);
+      await releaseLock(name).catch((err) => logger.error(`Failed to release lock "${name}": ${err.message}`));
+    },
+  };
+};
+
+module.exports = { INSTANCE_ID, acquireLock, renewLock, releaseLock, getLockHolder, holdLock };
@@ -0,0 +1,194 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Lock = require('../models/Lock');
+const { INSTANCE_ID } = require('./lockService');
+const newsEvents = require('../utils/events');
+const logger = require('../utils/logger');
+
+/**
+ * Prometheus metrics served at GET /metrics. Counters are fed by the HTTP
+ * middleware and the ingestion events; lock, MongoDB and freshness gauges
+ * are read at scrape time.
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Locks taken by the cron jobs; reported even while nobody holds them
+const CRON_LOCKS = ['ingestion', 'retention', 'extraction'];
+
+// ─── HTTP ─────────────────────────────────────────────────────────────────────
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+/**
+ * Count one finished request; `durationSeconds` is omitted for event streams,
+ * whose lifetime says nothing about latency
+ */
+const observeRequest = ({ method, route, statusCode, durationSeconds }) => {
+  const labels = { method, route, status_code: String(statusCode) };
+  httpRequests.inc(labels);
+  if (durationSeconds !== undefined) httpDuration.observe(labels, durationSeconds);
+};
+
+// ─── Ingestion ────────────────────────────────────────────────────────────────
+
+const ingestionRuns = new client.Counter({
+  name: 'news_ingestion_runs_total',
+  help: 'Finished ingestion runs by status',
+  labelNames: ['status'],
+  registers: [register],
+});
+
+const ingestionDuration = new client.Histogram({
+  name: 'news_ingestion_run_duration_seconds',
+  help: 'Ingestion run duration',
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register],
+});
+
+const lastIngestion = new client.Gauge({
+  name: 'news_ingestion_last_finished_timestamp_seconds',
+  help: 'Unix time the last ingestion run finished, by status',
+  labelNames: ['status'],
+  registers: [register],
+});
+
+const batchCounter = (name, help) => new client.Counter({
+  name: `news_ingestion_batch_${name}_total`,
+  help,
+  labelNames: ['provider', 'batch'],
+  registers: [register],
+});
+
+// Batch stats field → counter
+const BATCH_COUNTERS = {
+  pages: batchCounter('pages', 'Pages fetched per provider batch'),
+  fetched: batchCounter('articles_fetched', 'Articles fetched per provider batch'),
+  upserted: batchCounter('articles_upserted', 'New articles stored per provider batch'),
+  modified: batchCounter('articles_modified', 'Existing articles updated per provider batch'),
+  rejected: batchCounter('articles_rejected', 'Articles rejected by validation per provider batch'),
+  blocked: batchCounter('articles_blocked', 'Articles dropped by the source policy per provider batch'),
+};
+
+const batchFailures = batchCounter('failures', 'Failed provider batches');
+
+const apiErrors = new client.Counter({
+  name: 'news_provider_api_errors_total',
+  help: 'Provider API errors by error code (NewsData code, HTTP status or network error)',
+  labelNames: ['provider', 'code'],
+  registers: [register],
+});
+
+newsEvents.on('ingestion:batch', ({ provider, batch, outcome, stats }) => {
+  const labels = { provider, batch };
+  Object.entries(BATCH_COUNTERS).forEach(([field, counter]) => counter.inc(labels, stats[field] || 0));
+  if (outcome === 'failed') batchFailures.inc(labels);
+});
+
+newsEvents.on('ingestion:apiError', ({ provider, code }) => apiErrors.inc({ provider, code: String(code) }));
+
+newsEvents.on('ingestion:finished', ({ status, durationMs }) => {
+  ingestionRuns.inc({ status });
+  lastIngestion.set({ status }, Date.now() / 1000);
+  if (durationMs !== undefined) ingestionDuration.observe(durationMs / 1000);
+});
+
+// ─── Scrape-time Gauges ───────────────────────────────────────────────────────
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Run a collect callback without failing the whole scrape on a database error
+ */
+const safeCollect = (name, collect) => async function () {
+  try {
+    await collect.call(this);
+  } catch (err) {
+    logger.warn(`Metrics: failed to collect ${name}: ${err.message}`);
+  }
+};
+
+new client.Gauge({
+  name: 'news_mongodb_connection_state',
+  help: 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  },
+});
+
+/**
+ * Owner of every unexpired lease, with the cron locks always present
+ */
+const leaseOwners = async () => {
+  const leases = await Lock.find({ expiresAt: { $gt: new Date() } }, { owner: 1 }).lean();
+  const owners = new Map(CRON_LOCKS.map((lock) => [lock, null]));
+  leases.forEach((lease) => owners.set(lease._id, lease.owner));
+  return owners;
+};
+
+new client.Gauge({
+  name: 'news_cron_lock_held',
+  help: '1 if any instance holds an unexpired lease on the lock',
+  labelNames: ['lock'],
+  registers: [register],
+  collect: safeCollect('lock state', async function () {
+    this.reset();
+    if (!isConnected()) return;
+    (await leaseOwners()).forEach((owner, lock) => this.set({ lock }, owner ? 1 : 0));
+  }),
+});
+
+new client.Gauge({
+  name: 'news_cron_lock_owned',
+  help: '1 if this instance holds the lock',
+  labelNames: ['lock'],
+  registers: [register],
+  collect: safeCollect('lock ownership', async function () {
+    this.reset();
+    if (!isConnected()) return;
+    (await leaseOwners()).forEach((owner, lock) => this.set({ lock }, owner === INSTANCE_ID ? 1 : 0));
+  }),
+});
+
+new client.Gauge({
+  name: 'news_newest_article_age_seconds',
+  help: 'Seconds since the publication date of the newest stored article',
+  registers: [register],
+  // Keeps the last reading while MongoDB is unreachable
+  collect: safeCollect('newest article age', async function () {
+    if (!isConnected()) return;
+
+    const newest = await Article.findOne({ pubDate: { $lte: new Date() } }, { pubDate: 1 })
+      .sort({ pubDate: -1 })
+      .lean();
+    if (newest?.pubDate) this.set((Date.now() - newest.pubDate.getTime()) / 1000);
+  }),
+});
+
+// ─── Exposition ───────────────────────────────────────────────────────────────
+
+/**
+ * Metrics in the Prometheus text format
+ */
+const getMetrics = async () => ({
+  contentType: register.contentType,
+  body: await register.metrics(),
+});
+
+module.exports = { register, observeRequest, getMetrics };
@@ -1,182 +1,419 @@
-const axios = require('axios');
+const mongoose = require('mongoose');
 const Article = require('../models/Article');
+const IngestionRun = require('../models/IngestionRun');
+const IngestionCursor = require('../models/IngestionCursor');
+const { getEnabledProviders } = require('./providers');
+const { prepareArticles } = require('./articleNormalizer');
+const { fingerprintFields, assignClusters } = require('./storyClustering');
+const { applySourcePolicies, recordSources } = require('./sourceService');
+const { enrichArticles, ENRICHED_FIELDS } = require('./enrichmentService');
+const { languageLabel, countryLabel } = require('../utils/isoCodes');
+const { withRetry, sleep } = require('../utils/retry');
+const newsEvents = require('../utils/events');
 const logger = require('../utils/logger');
 
-const BASE_URL = process.env.NEWSDATA_BASE_URL || 'https://newsdata.io/api/1';
-const API_KEY = process.env.NEWSDATA_API_KEY;
-
 /**
- * Fetch a single page of news from NewsData.io
+ * Drop enrichable fields the provider left empty so re-ingesting an article
+ * doesn't wipe what enrichArticles filled in
  */
-const fetchNewsPage = async (params = {}) => {
-  const response = await axios.get(`${BASE_URL}/news`, {
-    params: {
-      apikey: API_KEY,
-      ...params,
-    },
-    timeout: 30000,
+const withoutEmptyEnrichment = (fields) => {
+  const kept = { ...fields };
+  ENRICHED_FIELDS.forEach((field) => {
+    const value = kept[field];
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) delete kept[field];
   });
-  return response.data;
+  return kept;
 };
 
 /**
- * Upsert articles into MongoDB. Uses article_id as the unique key.
- * Returns counts of new and updated articles.
+ * Upsert normalized articles (see articleNormalizer) into MongoDB.
+ * Uses article_id as the unique key. Articles from blocked sources are
+ * dropped first. Returns counts of new, updated and blocked articles, plus
+ * the article_ids that were newly inserted.
  */
-const upsertArticles = async (articles) => {
-  if (!articles || articles.length === 0) return { upserted: 0, modified: 0 };
-
-  const ops = articles.map((article) => {
-    // Explicitly parse pubDate string → proper JS Date object
-    // NewsData.io format: "2026-02-20 17:45:00" (UTC, space separator)
-    let parsedDate = null;
-    if (article.pubDate) {
-      const iso = String(article.pubDate).replace(' ', 'T') + 'Z';
-      const d = new Date(iso);
-      parsedDate = isNaN(d.getTime()) ? null : d;
-    }
+const upsertArticles = async (incoming) => {
+  if (!incoming || incoming.length === 0) return { upserted: 0, modified: 0, blocked: 0, insertedIds: [] };
 
-    return {
-      updateOne: {
-        filter: { article_id: article.article_id },
-        update: {
-          $set: {
-            title: article.title,
-            link: article.link,
-            keywords: article.keywords || [],
-            creator: article.creator || [],
-            video_url: article.video_url || null,
-            description: article.description || null,
-            content: article.content || null,
-            pubDate: parsedDate,
-            pubDateTZ: article.pubDateTZ || null,
-            image_url: article.image_url || null,
-            source_id: article.source_id || null,
-            source_name: article.source_name || null,
-            source_url: article.source_url || null,
-            source_icon: article.source_icon || null,
-            source_priority: article.source_priority || null,
-            country: article.country || [],
-            category: article.category || [],
-            language: article.language || null,
-            ai_tag: article.ai_tag || [],
-            sentiment: article.sentiment || null,
-            sentiment_stats: article.sentiment_stats || null,
-            ai_region: article.ai_region || [],
-            ai_org: article.ai_org || [],
-            duplicate: article.duplicate || false,
-            datatype: article.datatype || null,
-          },
-        },
-        upsert: true,
-      },
-    };
-  });
+  const { articles, blocked } = await applySourcePolicies(incoming);
+  if (articles.length === 0) return { upserted: 0, modified: 0, blocked, insertedIds: [] };
+
+  const ops = articles.map(({ article_id, ...fields }) => ({
+    updateOne: {
+      filter: { article_id },
+      update: { $set: { ...withoutEmptyEnrichment(fields), ...fingerprintFields(fields) } },
+      upsert: true,
+    },
+  }));
 
   const result = await Article.bulkWrite(ops, { ordered: false });
+  const insertedIds = Object.keys(result.upsertedIds || {}).map((index) => articles[index].article_id);
+
+  // Record the provider's own metadata, not the priority overrides applied above
+  const keptIds = new Set(articles.map((a) => a.article_id));
+  await recordSources(incoming.filter((a) => keptIds.has(a.article_id)), insertedIds);
+
   return {
     upserted: result.upsertedCount,
     modified: result.modifiedCount,
+    blocked,
+    insertedIds,
   };
 };
 
 /**
- * Main ingestion pipeline: fetch all pages and store to DB.
- * Batches categories in groups of 5 (NewsData.io limit per request).
+ * Enrichment failing must not fail a batch whose articles are already
+ * stored. Articles left unenriched keep `enrichedAt: null`, so
+ * `npm run enrich` picks them up later.
  */
-const ingestNews = async () => {
-  if (!API_KEY) {
-    logger.error('NEWSDATA_API_KEY is not set. Skipping ingestion.');
-    return;
+const enrichStored = (articleIds) =>
+  enrichArticles(articleIds).catch((err) =>
+    logger.error(`Enrichment failed for ${articleIds.length} article(s): ${err.message}`));
+
+/**
+ * Store raw provider records that didn't come from a live fetch (dumps,
+ * fixtures) through the same normalize → upsert → cluster path as ingestion.
+ * With `dryRun` nothing is written; `upserted` and `existing` then say how
+ * many records would be new and how many already exist.
+ */
+const importArticles = async (rawArticles, { dryRun = false } = {}) => {
+  const prepared = prepareArticles(rawArticles);
+  const summary = { rejected: prepared.rejected, rejections: prepared.rejections, normalized: prepared.normalized };
+
+  if (dryRun) {
+    const { articles, blocked } = await applySourcePolicies(prepared.articles);
+    const existing = await Article.countDocuments({ article_id: { $in: articles.map((a) => a.article_id) } });
+    return { ...summary, upserted: articles.length - existing, existing, modified: 0, blocked, insertedIds: [] };
   }
 
-  const allCategories = (process.env.NEWS_FETCH_CATEGORIES || 'technology,business,science')
-    .split(',')
-    .map((c) => c.trim())
-    .filter(Boolean);
-  const language = process.env.NEWS_FETCH_LANGUAGE || 'en';
-
-  // NewsData.io max = 5 categories per request — chunk them
-  const CATEGORY_BATCH_SIZE = 5;
-  const categoryBatches = [];
-  for (let i = 0; i < allCategories.length; i += CATEGORY_BATCH_SIZE) {
-    categoryBatches.push(allCategories.slice(i, i + CATEGORY_BATCH_SIZE));
+  const { upserted, modified, blocked, insertedIds } = await upsertArticles(prepared.articles);
+  await assignClusters(prepared.articles.map((a) => a.article_id));
+  await enrichStored(prepared.articles.map((a) => a.article_id));
+
+  return { ...summary, upserted, modified, existing: 0, blocked, insertedIds };
+};
+
+const RETRY_OPTIONS = {
+  retries: parseInt(process.env.FETCH_MAX_RETRIES, 10) || 4,
+  baseDelayMs: parseInt(process.env.FETCH_RETRY_BASE_MS, 10) || 1000,
+  maxDelayMs: parseInt(process.env.FETCH_RETRY_MAX_MS, 10) || 60000,
+};
+
+/**
+ * Label for a failed request: the provider's own error code when its error
+ * body has one, else the HTTP status or network error code
+ */
+const apiErrorCode = (provider, error) => {
+  if (!error.response) return error.code || 'network';
+  return provider.errorCode?.(error.response.data) || `HTTP_${error.response.status}`;
+};
+
+/**
+ * One provider request. Every failed attempt is reported as an API error,
+ * including ones withRetry goes on to retry; storage errors further down
+ * the batch are not the provider's and are never reported here.
+ */
+const fetchProviderPage = async (provider, batch, cursor, run) => {
+  try {
+    return await provider.fetchPage(batch, cursor);
+  } catch (error) {
+    newsEvents.emit('ingestion:apiError', {
+      runId: run._id,
+      provider: provider.name,
+      batch: batch.key,
+      status: error.response?.status,
+      code: apiErrorCode(provider, error),
+    });
+    throw error;
   }
+};
+
+/**
+ * Walk one provider batch page by page, resuming from a saved page token or
+ * stopping early once it reaches articles a previous run already stored.
+ * Pagination state is saved to IngestionCursor whatever the outcome.
+ */
+const ingestBatch = async (provider, batch, { run, batchStats, signal, reportPage, newArticleIds }) => {
+  const saved = await IngestionCursor.findOne({ provider: provider.name, batchKey: batch.key }).lean();
+  const seenUpTo = saved?.newestPubDate || null;
 
-  let totalUpserted = 0;
-  let totalModified = 0;
-  let totalPages = 0;
-  const MAX_PAGES = 3; // Per category batch
+  let cursor = saved?.resumeCursor || null;
+  let newest = seenUpTo;
+  let outcome = 'success';
+  let lastError = null;
 
-  logger.info(`Starting news ingestion: ${allCategories.length} categories in ${categoryBatches.length} batch(es)`);
+  if (cursor) {
+    batchStats.resumedFrom = cursor;
+    logger.info(`[${provider.name}] Resuming batch [${batch.key}] from saved page token`);
+  }
+  const resuming = Boolean(cursor);
 
   try {
-    for (const batch of categoryBatches) {
-      const categoryParam = batch.join(',');
-      logger.debug(`Fetching batch: [${categoryParam}]`);
-
-      let page = null;
-      let pageCount = 0;
-
-      do {
-        const params = {
-          language,
-          category: categoryParam,
-          ...(page ? { page } : {}),
-        };
-
-        const data = await fetchNewsPage(params);
-
-        if (data.status !== 'success') {
-          logger.error(`NewsData API error for batch [${categoryParam}]: ${JSON.stringify(data)}`);
-          break;
-        }
-
-        const articles = data.results || [];
-        logger.debug(`  Fetched ${articles.length} articles (page ${pageCount + 1})`);
-
-        const { upserted, modified } = await upsertArticles(articles);
-        totalUpserted += upserted;
-        totalModified += modified;
-
-        page = data.nextPage || null;
-        pageCount++;
-        totalPages++;
-
-        // Delay between pages to respect rate limits
-        if (page && pageCount < MAX_PAGES) {
-          await new Promise((r) => setTimeout(r, 1000));
-        }
-      } while (page && pageCount < MAX_PAGES);
-
-      // Delay between category batches
-      if (categoryBatches.indexOf(batch) < categoryBatches.length - 1) {
-        await new Promise((r) => setTimeout(r, 1500));
+    do {
+      const { articles, nextCursor, error, errorCode } = await withRetry(() => fetchProviderPage(provider, batch, cursor, run), {
+        ...RETRY_OPTIONS,
+        signal,
+        onRetry: (err, attempt, wait) => logger.warn(
+          `[${provider.name}] Batch [${batch.key}] attempt ${attempt} failed (${err.response?.status || err.code || err.message}). Retrying in ${wait}ms`
+        ),
+      });
+
+      if (error) {
+        logger.error(`[${provider.name}] API error for batch [${batch.key}]: ${error}`);
+        batchStats.error = error;
+        run.apiErrors.push({ provider: provider.name, batch: batch.key, message: error });
+        newsEvents.emit('ingestion:apiError', { runId: run._id, provider: provider.name, batch: batch.key, code: errorCode || 'unknown' });
+        outcome = 'failed';
+        lastError = error;
+        break;
       }
-    }
 
-    logger.info(
-      `Ingestion complete. Total pages: ${totalPages}, New: ${totalUpserted}, Updated: ${totalModified}`
-    );
+      logger.debug(`  Fetched ${articles.length} articles (page ${batchStats.pages + 1})`);
+
+      const prepared = prepareArticles(articles);
+      if (prepared.rejected > 0) {
+        logger.warn(`[${provider.name}] Rejected ${prepared.rejected} record(s) in batch [${batch.key}]: ${prepared.rejections.slice(0, 3).join('; ')}`);
+      }
+      batchStats.rejected += prepared.rejected;
+      run.rejected += prepared.rejected;
+      Object.entries(prepared.normalized).forEach(([field, count]) => {
+        run.normalizedFields.set(field, (run.normalizedFields.get(field) || 0) + count);
+      });
+
+      const { upserted, modified, blocked, insertedIds } = await upsertArticles(prepared.articles);
+      batchStats.blocked += blocked;
+      run.blocked += blocked;
+      newArticleIds.push(...insertedIds);
+      await assignClusters(prepared.articles.map((a) => a.article_id));
+      await enrichStored(prepared.articles.map((a) => a.article_id));
+      batchStats.fetched += articles.length;
+      batchStats.upserted += upserted;
+      batchStats.modified += modified;
+      run.upserted += upserted;
+      run.modified += modified;
+
+      const pubDates = prepared.articles.map((a) => a.pubDate).filter(Boolean);
+      pubDates.forEach((d) => { if (!newest || d > newest) newest = d; });
+
+      cursor = nextCursor;
+      batchStats.pages++;
+      run.pages++;
+      reportPage();
+
+      // Results come newest first: once a fresh walk reaches already stored
+      // articles, older pages hold nothing new
+      if (!resuming && seenUpTo && pubDates.some((d) => d <= seenUpTo)) {
+        batchStats.stoppedEarly = true;
+        logger.debug(`[${provider.name}] Batch [${batch.key}] caught up with previous run`);
+        cursor = null;
+        break;
+      }
 
-    return { pages: totalPages, upserted: totalUpserted, modified: totalModified };
+      if (signal?.aborted) {
+        outcome = 'cancelled';
+        break;
+      }
+
+      // Delay between pages to respect rate limits
+      if (cursor && batchStats.pages < provider.maxPages) {
+        await sleep(provider.pageDelayMs, signal);
+      }
+    } while (cursor && batchStats.pages < provider.maxPages);
   } catch (error) {
-    if (error.response) {
-      logger.error(`NewsData API HTTP error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+    if (signal?.aborted) {
+      outcome = 'cancelled';
     } else {
-      logger.error(`News ingestion error: ${error.message}`);
+      if (error.response) {
+        logger.error(`[${provider.name}] HTTP error for batch [${batch.key}]: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      } else {
+        logger.error(`[${provider.name}] Ingestion error for batch [${batch.key}]: ${error.message}`);
+      }
+      batchStats.error = error.message;
+      run.apiErrors.push({
+        provider: provider.name,
+        batch: batch.key,
+        status: error.response?.status,
+        message: error.response ? JSON.stringify(error.response.data) : error.message,
+      });
+      outcome = 'failed';
+      lastError = error.message;
+    }
+  }
+
+  // Keep the token of the page we didn't get to so the next run can pick it up
+  const resumeCursor = outcome === 'success' ? null : cursor;
+
+  await IngestionCursor.updateOne(
+    { provider: provider.name, batchKey: batch.key },
+    {
+      $set: {
+        resumeCursor: resumeCursor ? String(resumeCursor) : null,
+        newestPubDate: newest,
+        lastRunAt: new Date(),
+        lastStatus: outcome,
+        lastError,
+      },
+    },
+    { upsert: true }
+  ).catch((err) => logger.error(`Failed to save cursor for batch [${batch.key}]: ${err.message}`));
+
+  return outcome;
+};
+
+/**
+ * Main ingestion pipeline: walk every enabled provider's batches and store the
+ * results to DB. A failing batch is recorded and skipped; the rest still run.
+ * Every call is recorded as an IngestionRun.
+ *
+ * `signal` (AbortSignal) cancels the run between pages; `onProgress` receives
+ * the current provider/batch and running counts after each page.
+ */
+const ingestNews = async ({
+  trigger = 'manual',
+  signal,
+  onRunCreated = () => {},
+  onProgress = () => {},
+} = {}) => {
+  const providers = getEnabledProviders().filter((provider) => {
+    if (provider.isConfigured()) return true;
+    logger.error(`${provider.missingConfigMessage}. Skipping ${provider.name} provider.`);
+    return false;
+  });
+
+  const run = await IngestionRun.create({
+    trigger,
+    providers: providers.map((p) => p.name),
+  });
+  onRunCreated(run._id);
+  newsEvents.emit('ingestion:started', { runId: run._id, trigger });
+
+  const finishRun = async (status) => {
+    run.status = status;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+  };
+
+  if (providers.length === 0) {
+    logger.error('No news providers are configured. Skipping ingestion.');
+    await finishRun('skipped');
+    return;
+  }
+
+  logger.info(`Starting news ingestion (${trigger}): ${providers.map((p) => p.name).join(', ')}`);
+
+  let failedBatches = 0;
+  const newArticleIds = [];
+
+  for (const provider of providers) {
+    if (signal?.aborted) break;
+
+    const batches = provider.getBatches();
+    logger.info(`[${provider.name}] ${batches.length} batch(es)`);
+
+    for (const [batchIndex, batch] of batches.entries()) {
+      if (signal?.aborted) break;
+
+      const reportPage = () =>
+        onProgress({
+          provider: provider.name,
+          batch: batch.key,
+          batchIndex,
+          batchCount: batches.length,
+          pages: run.pages,
+          upserted: run.upserted,
+          modified: run.modified,
+        });
+
+      reportPage();
+      logger.debug(`[${provider.name}] Fetching batch: [${batch.key}]`);
+
+      run.batches.push({ provider: provider.name, key: batch.key });
+      const batchStats = run.batches[run.batches.length - 1];
+
+      const outcome = await ingestBatch(provider, batch, { run, batchStats, signal, reportPage, newArticleIds });
+      if (outcome === 'failed') failedBatches++;
+      newsEvents.emit('ingestion:batch', { runId: run._id, provider: provider.name, batch: batch.key, outcome, stats: batchStats.toObject() });
+
+      // Delay between batches
+      if (batchIndex < batches.length - 1 && !signal?.aborted) {
+        await sleep(provider.batchDelayMs, signal);
+      }
     }
-    throw error;
   }
+
+  let status = 'success';
+  if (signal?.aborted) status = 'cancelled';
+  else if (failedBatches > 0 && failedBatches === run.batches.length) status = 'failed';
+  else if (run.apiErrors.length > 0) status = 'partial';
+
+  await finishRun(status);
+  newsEvents.emit('ingestion:finished', {
+    runId: run._id,
+    status,
+    upserted: run.upserted,
+    modified: run.modified,
+    durationMs: run.durationMs,
+  });
+
+  logger.info(
+    `Ingestion ${status}. Total pages: ${run.pages}, New: ${run.upserted}, Updated: ${run.modified}, Rejected: ${run.rejected}, Blocked: ${run.blocked}, Failed batches: ${failedBatches}`
+  );
+
+  return {
+    runId: run._id,
+    status,
+    pages: run.pages,
+    upserted: run.upserted,
+    modified: run.modified,
+    rejected: run.rejected,
+    blocked: run.blocked,
+    normalizedFields: Object.fromEntries(run.normalizedFields),
+    newArticleIds,
+  };
 };
 
 /**
- * Get distinct values for filter dropdowns
+ * List recorded ingestion runs, newest first
+ */
+const getIngestionRuns = async ({ page = 1, limit = 20, status, trigger } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (trigger) query.trigger = trigger;
+
+  const [runs, total] = await Promise.all([
+    IngestionRun.find(query, { batches: 0 })
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    IngestionRun.countDocuments(query),
+  ]);
+
+  return { runs, total };
+};
+
+/**
+ * Single ingestion run with its per-batch breakdown
+ */
+const getIngestionRun = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return IngestionRun.findById(id).lean();
+};
+
+// { code, label } pairs sorted by label; values without a known code label themselves
+const withLabels = (codes, toLabel) =>
+  codes
+    .map((code) => ({ code, label: toLabel(code) || code }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+/**
+ * Get distinct values for filter dropdowns. Languages and countries come as
+ * { code, label } pairs so clients can localize the labels themselves.
  */
 const getFilterOptions = async () => {
   const [languages, countries, categories, datatypes, authors] = await Promise.all([
-    Article.distinct('language').then((vals) => vals.filter(Boolean).sort()),
-    Article.distinct('country').then((vals) => vals.flat().filter(Boolean).sort()),
+    Article.distinct('language').then((vals) => withLabels(vals.filter(Boolean), languageLabel)),
+    Article.distinct('country').then((vals) => withLabels(vals.flat().filter(Boolean), countryLabel)),
     Article.distinct('category').then((vals) => vals.flat().filter(Boolean).sort()),
     Article.distinct('datatype').then((vals) => vals.filter(Boolean).sort()),
     Article.distinct('creator').then((vals) => vals.flat().filter(Boolean).sort().slice(0, 200)),
@@ -185,4 +422,4 @@ const getFilterOptions = async () => {
   return { languages, countries, categories, datatypes, authors };
 };
 
-module.exports = { ingestNews, getFilterOptions };
\ No newline at end of file
+module.exports = { ingestNews, importArticles, getFilterOptions, getIngestionRuns, getIngestionRun };
\ No newline at end of file
@@ -0,0 +1,30 @@
+const newsdataProvider = require('./newsdataProvider');
+const rssProvider = require('./rssProvider');
+
+/**
+ * Every provider exposes the same interface:
+ *   name, maxPages, pageDelayMs, batchDelayMs,
+ *   isConfigured() → boolean,
+ *   getBatches() → [{ key, ... }],
+ *   fetchPage(batch, cursor) → { articles, nextCursor, error? }
+ * Articles are returned in the NewsData.io result shape, tagged with `provider`.
+ */
+const providers = {
+  [newsdataProvider.name]: newsdataProvider,
+  [rssProvider.name]: rssProvider,
+};
+
+/**
+ * Providers listed in NEWS_PROVIDERS, in order
+ */
+const getEnabledProviders = () =>
+  (process.env.NEWS_PROVIDERS || 'newsdata')
+    .split(',')
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      if (!providers[name]) throw new Error(`Unknown news provider: "${name}"`);
+      return providers[name];
+    });
+
+module.exports = { providers, getEnabledProviders };
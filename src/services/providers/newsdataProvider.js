@@ -0,0 +1,76 @@
+const axios = require('axios');
+
+const BASE_URL = process.env.NEWSDATA_BASE_URL || 'https://newsdata.io/api/1';
+const API_KEY = process.env.NEWSDATA_API_KEY;
+
+// NewsData.io max = 5 categories per request
+const CATEGORY_BATCH_SIZE = 5;
+
+/**
+ * Fetch a single page of news from NewsData.io
+ */
+const fetchNewsPage = async (params = {}) => {
+  const response = await axios.get(`${BASE_URL}/news`, {
+    params: {
+      apikey: API_KEY,
+      ...params,
+    },
+    timeout: 30000,
+  });
+  return response.data;
+};
+
+/**
+ * Split the configured categories into request-sized batches
+ */
+const getBatches = () => {
+  const allCategories = (process.env.NEWS_FETCH_CATEGORIES || 'technology,business,science')
+    .split(',')
+    .map((c) => c.trim())
+    .filter(Boolean);
+  const language = process.env.NEWS_FETCH_LANGUAGE || 'en';
+
+  const batches = [];
+  for (let i = 0; i < allCategories.length; i += CATEGORY_BATCH_SIZE) {
+    const categoryParam = allCategories.slice(i, i + CATEGORY_BATCH_SIZE).join(',');
+    batches.push({
+      key: categoryParam,
+      params: { language, category: categoryParam },
+    });
+  }
+  return batches;
+};
+
+/**
+ * NewsData's error code ("RateLimitExceeded", "Unauthorized") from an error body
+ */
+const errorCode = (data) => data?.results?.code || null;
+
+/**
+ * Fetch one page of a batch. `cursor` is NewsData's `nextPage` token.
+ */
+const fetchPage = async (batch, cursor) => {
+  const data = await fetchNewsPage({
+    ...batch.params,
+    ...(cursor ? { page: cursor } : {}),
+  });
+
+  if (data.status !== 'success') {
+    return { articles: [], nextCursor: null, error: JSON.stringify(data), errorCode: errorCode(data) };
+  }
+
+  const articles = (data.results || []).map((article) => ({ ...article, provider: 'newsdata' }));
+  return { articles, nextCursor: data.nextPage || null };
+};
+
+module.exports = {
+  name: 'newsdata',
+  maxPages: 3, // Per category batch
+  pageDelayMs: 1000,
+  batchDelayMs: 1500,
+  isConfigured: () => Boolean(API_KEY),
+  missingConfigMessage: 'NEWSDATA_API_KEY is not set',
+  getBatches,
+  fetchPage,
+  errorCode,
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  isArray: (name) => ['item', 'entry', 'category', 'link', 'author', 'dc:creator'].includes(name),
+});
+
+const getFeedUrls = () =>
+  (process.env.RSS_FEED_URLS || '')
+    .split(',')
+    .map((u) => u.trim())
+    .filter(Boolean);
+
+/**
+ * Read the text of a parsed node, which may be a string or { '#text': ... }
+ */
+const text = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return text(node['#text']);
+  const value = String(node).trim();
+  return value || null;
+};
+
+/**
+ * Reduce HTML markup to plain text
+ */
+const stripHtml = (html) => {
+  if (!html) return null;
+  const plain = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+  return plain || null;
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+/**
+ * Stable id for a feed item: same 32-char hex shape as NewsData article_ids,
+ * namespaced so ids never collide across providers. Non-URL guids are only
+ * unique within their feed, so those are scoped to the feed URL as well.
+ */
+const buildArticleId = (feedUrl, key) => {
+  const scoped = /^https?:\/\//.test(key || '') ? key : `${feedUrl}#${key}`;
+  return crypto.createHash('md5').update(`rss:${scoped}`).digest('hex');
+};
+
+/**
+ * Source fields for a feed. A relative channel <link> resolves against the
+ * feed URL; a malformed or non-web one falls back to the feed's own host.
+ */
+const buildSource = (feedUrl, title, link) => {
+  let site = null;
+  try {
+    site = link ? new URL(link, feedUrl) : null;
+  } catch {
+    site = null;
+  }
+  if (site && !['http:', 'https:'].includes(site.protocol)) site = null;
+
+  const host = (site || new URL(feedUrl)).hostname.replace(/^www\./, '');
+  return {
+    source_id: host,
+    source_name: title || host,
+    source_url: site ? site.href : `https://${host}`,
+  };
+};
+
+/**
+ * Map an RSS 2.0 document to the shape upsertArticles writes
+ */
+const mapRssFeed = (feedUrl, channel) => {
+  const source = buildSource(feedUrl, text(channel.title), text(channel.link?.[0]));
+  const language = text(channel.language)?.toLowerCase().split('-')[0] || null;
+  const icon = text(channel.image?.url);
+
+  return (channel.item || []).map((item) => {
+    const link = text(item.link?.[0]);
+    const guid = text(item.guid);
+    const image = item.enclosure?.['@_type']?.startsWith('image/')
+      ? item.enclosure['@_url']
+      : item['media:content']?.['@_url'] || item['media:thumbnail']?.['@_url'] || null;
+
+    return {
+      article_id: buildArticleId(feedUrl, guid || link || text(item.title)),
+      title: stripHtml(text(item.title)),
+      link,
+      description: stripHtml(text(item.description)),
+      content: stripHtml(text(item['content:encoded'])),
+      creator: [...(item['dc:creator'] || []), ...(item.author || [])].map(text).filter(Boolean),
+      keywords: [],
+      category: (item.category || []).map(text).filter(Boolean).map((c) => c.toLowerCase()),
+      pubDate: toIsoDate(text(item.pubDate) || text(item['dc:date'])),
+      pubDateTZ: 'UTC',
+      image_url: image,
+      language,
+      country: [],
+      datatype: 'news',
+      ...source,
+      source_icon: icon,
+      provider: 'rss',
+    };
+  });
+};
+
+/**
+ * Map an Atom document to the shape upsertArticles writes
+ */
+const mapAtomFeed = (feedUrl, feed) => {
+  const alternate = (links = []) => {
+    const link = links.find((l) => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+    return link?.['@_href'] || null;
+  };
+
+  const source = buildSource(feedUrl, text(feed.title), alternate(feed.link));
+  const language = feed['@_xml:lang']?.toLowerCase().split('-')[0] || null;
+
+  return (feed.entry || []).map((entry) => {
+    const link = alternate(entry.link);
+    const id = text(entry.id);
+
+    return {
+      article_id: buildArticleId(feedUrl, id || link || text(entry.title)),
+      title: stripHtml(text(entry.title)),
+      link,
+      description: stripHtml(text(entry.summary)),
+      content: stripHtml(text(entry.content)),
+      creator: (entry.author || []).map((a) => text(a.name)).filter(Boolean),
+      keywords: [],
+      category: (entry.category || []).map((c) => c['@_term']).filter(Boolean).map((c) => c.toLowerCase()),
+      pubDate: toIsoDate(text(entry.published) || text(entry.updated)),
+      pubDateTZ: 'UTC',
+      image_url: null,
+      language,
+      country: [],
+      datatype: 'news',
+      ...source,
+      source_icon: text(feed.icon) || text(feed.logo),
+      provider: 'rss',
+    };
+  });
+};
+
+/**
+ * Parse an RSS 2.0 or Atom document into articles
+ */
+const parseFeed = (feedUrl, xml) => {
+  const doc = parser.parse(xml);
+
+  if (doc.rss?.channel) return mapRssFeed(feedUrl, doc.rss.channel);
+  if (doc.feed) return mapAtomFeed(feedUrl, doc.feed);
+
+  throw new Error(`Unrecognised feed format at ${feedUrl}`);
+};
+
+/**
+ * One batch per configured feed URL
+ */
+const getBatches = () => getFeedUrls().map((url) => ({ key: url, url }));
+
+/**
+ * Feeds are not paginated: every fetch returns the whole document.
+ */
+const fetchPage = async (batch) => {
+  const response = await axios.get(batch.url, {
+    responseType: 'text',
+    timeout: 30000,
+    headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+  });
+
+  const articles = parseFeed(batch.url, response.data).filter((a) => a.title);
+  return { articles, nextCursor: null };
+};
+
+module.exports = {
+  name: 'rss',
+  maxPages: 1,
+  pageDelayMs: 0,
+  batchDelayMs: 500,
+  isConfigured: () => getFeedUrls().length > 0,
+  missingConfigMessage: 'RSS_FEED_URLS is not set',
+  getBatches,
+  fetchPage,
+  parseFeed,
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const Article = require('../models/Article');
+const { recountSources } = require('./sourceService');
+const { invalidateCache } = require('../utils/cache');
+const { toLanguageCode } = require('../utils/isoCodes');
+const logger = require('../utils/logger');
+
+const ARCHIVE_DIR = path.resolve(process.env.ARCHIVE_DIR || 'archives');
+const MAX_PER_RUN = parseInt(process.env.RETENTION_MAX_PER_RUN, 10) || 50000;
+const DELETE_CHUNK = 1000;
+const RESTORE_CHUNK = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_FIELDS = ['category', 'language'];
+const ARCHIVE_NAME = /^articles-[\w-]+\.ndjson\.gz$/;
+
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// ─── Policy ───────────────────────────────────────────────────────────────────
+
+/**
+ * Read the retention policy from the environment:
+ *   RETENTION_DAYS=365                          global limit (unset/0 keeps forever)
+ *   RETENTION_RULES=category:sports=30,language:german=90
+ * When several rules match an article the longest retention wins, so a rule
+ * can only ever keep an article longer than another matching rule would.
+ */
+const getRetentionPolicy = () => {
+  const days = parseInt(process.env.RETENTION_DAYS, 10) || null;
+
+  const rules = (process.env.RETENTION_RULES || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const match = entry.match(/^(\w+):([^=]+)=(\d+)$/);
+      if (!match || !RULE_FIELDS.includes(match[1]) || parseInt(match[3], 10) < 1) {
+        logger.warn(`Ignoring invalid retention rule "${entry}"`);
+        return null;
+      }
+      const value = match[2].trim();
+      // Languages are stored as ISO codes; rules may name them either way
+      return {
+        field: match[1],
+        value: match[1] === 'language' ? toLanguageCode(value) || value : value,
+        days: parseInt(match[3], 10),
+      };
+    })
+    .filter(Boolean);
+
+  return { days, rules, enabled: Boolean(days) || rules.length > 0 };
+};
+
+/**
+ * MongoDB filter matching every article past its retention under `policy`.
+ * Articles restored from an archive are never matched. Returns null when
+ * the policy keeps everything.
+ */
+const buildRetentionFilter = (policy, now = new Date()) => {
+  if (!policy.enabled) return null;
+
+  const cutoff = (days) => new Date(now.getTime() - days * DAY_MS);
+
+  // Old enough for every rule it matches...
+  const clauses = policy.rules.map(({ field, value, days }) => ({
+    $or: [{ [field]: { $ne: value } }, { pubDate: { $lt: cutoff(days) } }],
+  }));
+
+  // ...and either covered by a rule or past the global limit
+  const matchesRule = policy.rules.map(({ field, value }) => ({ [field]: value }));
+  const fallback = policy.days ? [{ pubDate: { $lt: cutoff(policy.days) } }] : [];
+  clauses.push({ $or: [...matchesRule, ...fallback] });
+  clauses.push({ restoredAt: null });
+
+  return { $and: clauses };
+};
+
+// ─── Preview ──────────────────────────────────────────────────────────────────
+
+/**
+ * What a retention run would remove right now: counts overall and per rule,
+ * plus the date range affected.
+ */
+const previewRetention = async () => {
+  const policy = getRetentionPolicy();
+  const filter = buildRetentionFilter(policy);
+
+  if (!filter) return { policy, total: 0, perRun: MAX_PER_RUN, byRule: [], oldest: null, newest: null };
+
+  const [total, range, byRule] = await Promise.all([
+    Article.countDocuments(filter),
+    Article.aggregate([
+      { $match: filter },
+      { $group: { _id: null, oldest: { $min: '$pubDate' }, newest: { $max: '$pubDate' } } },
+    ]),
+    Promise.all(
+      policy.rules.map(async (rule) => ({
+        ...rule,
+        count: await Article.countDocuments({ $and: [filter, { [rule.field]: rule.value }] }),
+      }))
+    ),
+  ]);
+
+  return {
+    policy,
+    total,
+    perRun: MAX_PER_RUN,
+    byRule,
+    oldest: range[0]?.oldest || null,
+    newest: range[0]?.newest || null,
+  };
+};
+
+// ─── Archive & Prune ──────────────────────────────────────────────────────────
+
+/**
+ * Write up to `limit` expired articles to a gzipped NDJSON file. Resolves
+ * once the file is fully flushed, with the archived ids and their sources.
+ */
+const writeArchive = async (filter, limit) => {
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+
+  const name = `articles-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson.gz`;
+  const file = path.join(ARCHIVE_DIR, name);
+  const ids = [];
+  const sourceIds = new Set();
+
+  const cursor = Article.find(filter)
+    .select('+fingerprint +fingerprint_bands')
+    .sort({ pubDate: 1 })
+    .limit(limit)
+    .lean()
+    .cursor();
+
+  const gzip = zlib.createGzip();
+  const done = pipeline(gzip, fs.createWriteStream(file));
+
+  try {
+    for await (const doc of cursor) {
+      ids.push(doc._id);
+      if (doc.source_id) sourceIds.add(doc.source_id);
+      if (!gzip.write(`${JSON.stringify(doc)}\n`)) await once(gzip, 'drain');
+    }
+    gzip.end();
+    await done;
+  } catch (error) {
+    gzip.destroy();
+    await done.catch(() => {});
+    await fs.promises.rm(file, { force: true });
+    throw error;
+  }
+
+  return { name, file, ids, sourceIds: [...sourceIds] };
+};
+
+/**
+ * Archive and delete expired articles. With `dryRun` nothing is written or
+ * removed; the result reports what would have been.
+ */
+const runRetention = async ({ dryRun = false } = {}) => {
+  const policy = getRetentionPolicy();
+  const filter = buildRetentionFilter(policy);
+
+  if (!filter) return { dryRun, archived: 0, deleted: 0, archive: null, remaining: 0 };
+
+  if (dryRun) {
+    const preview = await previewRetention();
+    return {
+      dryRun,
+      archived: Math.min(preview.total, MAX_PER_RUN),
+      deleted: Math.min(preview.total, MAX_PER_RUN),
+      archive: null,
+      remaining: Math.max(0, preview.total - MAX_PER_RUN),
+    };
+  }
+
+  const { name, file, ids, sourceIds } = await writeArchive(filter, MAX_PER_RUN);
+
+  if (ids.length === 0) {
+    await fs.promises.rm(file, { force: true });
+    return { dryRun, archived: 0, deleted: 0, archive: null, remaining: 0 };
+  }
+
+  // Only delete what made it into the archive
+  let deleted = 0;
+  for (let i = 0; i < ids.length; i += DELETE_CHUNK) {
+    const result = await Article.deleteMany({ _id: { $in: ids.slice(i, i + DELETE_CHUNK) } });
+    deleted += result.deletedCount;
+  }
+
+  await recountSources(sourceIds);
+  await invalidateCache();
+
+  const remaining = await Article.countDocuments(filter);
+  logger.info(`Retention: archived ${ids.length} articles to ${name}, deleted ${deleted}, ${remaining} still expired`);
+
+  return { dryRun, archived: ids.length, deleted, archive: name, remaining };
+};
+
+// ─── Archives ─────────────────────────────────────────────────────────────────
+
+const listArchives = async () => {
+  const entries = await fs.promises.readdir(ARCHIVE_DIR).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+
+  const archives = await Promise.all(
+    entries
+      .filter((name) => ARCHIVE_NAME.test(name))
+      .map(async (name) => {
+        const stat = await fs.promises.stat(path.join(ARCHIVE_DIR, name));
+        return { name, size: stat.size, createdAt: stat.mtime };
+      })
+  );
+
+  return archives.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Load an archive back into MongoDB. Articles that exist again (for example
+ * re-ingested since) are left untouched. Restored articles get `restoredAt`
+ * and are kept until deleted by hand, or the next retention run would
+ * archive them straight away again.
+ */
+const restoreArchive = async (name) => {
+  if (!ARCHIVE_NAME.test(name)) throw httpError('Invalid archive name', 400);
+
+  const file = path.join(ARCHIVE_DIR, name);
+  await fs.promises.access(file).catch(() => {
+    throw httpError(`Archive "${name}" not found`, 404);
+  });
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+
+  const restoredAt = new Date();
+  let read = 0;
+  let restored = 0;
+  let ops = [];
+  const sourceIds = new Set();
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    const result = await Article.bulkWrite(ops, { ordered: false });
+    restored += result.upsertedCount;
+    ops = [];
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const { article_id, ...fields } = JSON.parse(line);
+    read++;
+    if (fields.source_id) sourceIds.add(fields.source_id);
+
+    // Mongoose casts the JSON strings back to Dates/ObjectIds via the schema;
+    // the archived createdAt/updatedAt are kept as they were
+    ops.push({
+      updateOne: { filter: { article_id }, update: { $setOnInsert: { ...fields, restoredAt } }, upsert: true, timestamps: false },
+    });
+    if (ops.length >= RESTORE_CHUNK) await flush();
+  }
+  await flush();
+
+  if (restored > 0) {
+    await recountSources([...sourceIds]);
+    await invalidateCache();
+  }
+  logger.info(`Restored ${restored} of ${read} articles from ${name}`);
+
+  return { archive: name, read, restored, skipped: read - restored };
+};
+
+module.exports = {
+  getRetentionPolicy,
+  buildRetentionFilter,
+  previewRetention,
+  runRetention,
+  listArchives,
+  restoreArchive,
+};
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const SavedSearch = require('../models/SavedSearch');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { hasScope } = require('./apiKeyService');
+const { checkValue } = require('../middleware/validate');
+const { FILTERS, checkDateRange } = require('../schemas/news');
+const { buildQuery, FILTER_KEYS } = require('../utils/buildQuery');
+const { withRetry, isRetryableHttpError } = require('../utils/retry');
+const { assertPublicUrl, publicRequestOptions } = require('../utils/ssrfGuard');
+const logger = require('../utils/logger');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_MAX_RETRIES = parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) || 4;
+// Matches per webhook POST; larger result sets are split over several deliveries
+const WEBHOOK_BATCH_SIZE = 100;
+
+const PAYLOAD_PROJECTION = {
+  _id: 0,
+  article_id: 1,
+  title: 1,
+  description: 1,
+  link: 1,
+  creator: 1,
+  pubDate: 1,
+  source_id: 1,
+  source_name: 1,
+  image_url: 1,
+  category: 1,
+  country: 1,
+  language: 1,
+};
+
+const validationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Webhooks must resolve to a public address, or alerts become a way to
+ * make the server POST to internal services
+ */
+const validateWebhookHost = async (url) => {
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    if (error.code === 'EPRIVATEADDR') throw validationError('webhookUrl must not point to a private, loopback or link-local address');
+    throw validationError(`webhookUrl host could not be resolved (${error.code || error.message})`);
+  }
+};
+
+/**
+ * Check filter values against the same rules GET /api/news applies, so a
+ * stored search can always be turned into a query. Returns the values in
+ * the shape the route would pass to buildQuery; empty values are dropped.
+ */
+const validateFilters = (filters) => {
+  const unknown = Object.keys(filters).filter((key) => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) throw validationError(`Unknown filter(s): ${unknown.join(', ')}`);
+
+  const values = {};
+  const errors = [];
+  Object.entries(filters).forEach(([field, raw]) => {
+    if (raw === undefined || raw === null || raw === '') return;
+
+    const rule = FILTERS[field];
+    const isText = (value) => typeof value === 'string';
+    if (!(isText(raw) || (rule.type === 'array' && Array.isArray(raw) && raw.every(isText)))) {
+      errors.push(`${field} must be ${rule.type === 'array' ? 'a string or an array of strings' : 'a string'}`);
+      return;
+    }
+
+    const { value, error } = checkValue(rule, raw);
+    if (error) errors.push(`${field} ${error}`);
+    else values[field] = value;
+  });
+
+  errors.push(...checkDateRange(values).map(({ field, message }) => `${field} ${message}`));
+  if (errors.length > 0) throw validationError(`Invalid filters: ${errors.join('; ')}`);
+  return values;
+};
+
+/**
+ * Check name/webhookUrl/filters of a create or update payload.
+ * Returns the cleaned fields; throws a 400 error on bad input.
+ */
+const validateSavedSearch = async (input, { partial = false } = {}) => {
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) throw validationError('name is required');
+    fields.name = input.name.trim();
+  }
+
+  if (input.webhookUrl !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(input.webhookUrl);
+    } catch {
+      throw validationError('webhookUrl must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw validationError('webhookUrl must use http or https');
+    await validateWebhookHost(url);
+    fields.webhookUrl = url.toString();
+  }
+
+  if (input.filters !== undefined || !partial) {
+    const filters = input.filters || {};
+    if (typeof filters !== 'object' || Array.isArray(filters)) throw validationError('filters must be an object');
+
+    fields.filters = validateFilters(filters);
+    // Surface search syntax errors now rather than when alerts are evaluated
+    buildQuery(fields.filters);
+  }
+
+  if (input.active !== undefined) fields.active = Boolean(input.active);
+
+  return fields;
+};
+
+/**
+ * Saved searches visible to `apiKey`: the ones it created, or all for admin keys
+ */
+const ownedBy = (apiKey) => (hasScope(apiKey, 'admin') ? {} : { owner: apiKey._id });
+
+const findSavedSearch = async (id, apiKey) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedSearch.findOne({ _id: id, ...ownedBy(apiKey) }).lean();
+};
+
+const listSavedSearches = (apiKey) => SavedSearch.find(ownedBy(apiKey)).sort({ createdAt: -1 }).lean();
+
+/**
+ * Create a saved search owned by `apiKey`. The signing secret is only ever
+ * returned here and on rotation.
+ */
+const createSavedSearch = async (input, apiKey) => {
+  const fields = await validateSavedSearch(input);
+  const search = await SavedSearch.create({ ...fields, owner: apiKey._id, secret: generateSecret() });
+  return search.toObject();
+};
+
+const updateSavedSearch = async (id, input, apiKey) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const fields = await validateSavedSearch(input, { partial: true });
+  return SavedSearch.findOneAndUpdate({ _id: id, ...ownedBy(apiKey) }, { $set: fields }, { new: true }).lean();
+};
+
+const rotateSecret = async (id, apiKey) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedSearch.findOneAndUpdate({ _id: id, ...ownedBy(apiKey) }, { $set: { secret: generateSecret() } }, { new: true })
+    .select('+secret')
+    .lean();
+};
+
+const deleteSavedSearch = async (id, apiKey) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedSearch.findOneAndDelete({ _id: id, ...ownedBy(apiKey) }).lean();
+};
+
+/**
+ * Recent deliveries of one saved search, or of every search `apiKey` can see
+ */
+const listDeliveries = async ({ apiKey, savedSearch, status, limit = 50 } = {}) => {
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    throw validationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  const query = {};
+  if (savedSearch) {
+    query.savedSearch = savedSearch;
+  } else if (!hasScope(apiKey, 'admin')) {
+    query.savedSearch = { $in: await SavedSearch.distinct('_id', ownedBy(apiKey)) };
+  }
+  if (status) query.status = status;
+  return WebhookDelivery.find(query, { articleIds: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", sent as X-NewsAgg-Signature: sha256=<hex>
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST one batch of matches to a saved search's webhook, retrying transient
+ * failures, and record the outcome as a WebhookDelivery.
+ */
+const deliver = async (search, articles, runId) => {
+  const delivery = await WebhookDelivery.create({
+    savedSearch: search._id,
+    runId,
+    url: search.webhookUrl,
+    articleIds: articles.map((a) => a.article_id),
+  });
+
+  const body = JSON.stringify({
+    event: 'articles.matched',
+    deliveryId: delivery._id,
+    savedSearch: { id: search._id, name: search.name },
+    runId,
+    articles,
+  });
+
+  try {
+    // Re-checked on delivery: the host may resolve differently than when it was saved
+    await assertPublicUrl(search.webhookUrl);
+
+    const response = await withRetry(
+      async () => {
+        delivery.attempts++;
+        const timestamp = Math.floor(Date.now() / 1000);
+        return axios.post(search.webhookUrl, body, {
+          ...publicRequestOptions,
+          maxRedirects: 0,
+          timeout: WEBHOOK_TIMEOUT_MS,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'news-aggregator-webhooks',
+            'X-NewsAgg-Delivery': String(delivery._id),
+            'X-NewsAgg-Timestamp': String(timestamp),
+            'X-NewsAgg-Signature': `sha256=${signPayload(search.secret, timestamp, body)}`,
+          },
+        });
+      },
+      {
+        retries: WEBHOOK_MAX_RETRIES,
+        shouldRetry: (err) => err.code !== 'EPRIVATEADDR' && (isRetryableHttpError(err) || !err.response),
+        onRetry: (err, attempt, wait) =>
+          logger.warn(`Webhook delivery ${delivery._id} attempt ${attempt} failed (${err.response?.status || err.message}). Retrying in ${wait}ms`),
+      }
+    );
+
+    delivery.status = 'delivered';
+    delivery.responseStatus = response.status;
+    delivery.deliveredAt = new Date();
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.responseStatus = error.response?.status;
+    delivery.error = error.message;
+    logger.error(`Webhook delivery ${delivery._id} to ${search.webhookUrl} failed: ${error.message}`);
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Match newly ingested articles against every active saved search and
+ * notify their webhooks. Called after each ingestion run.
+ */
+const dispatchSavedSearchAlerts = async (newArticleIds, runId) => {
+  if (!newArticleIds || newArticleIds.length === 0) return { searches: 0, deliveries: 0 };
+
+  const searches = await SavedSearch.find({ active: true }).select('+secret').lean();
+  let deliveries = 0;
+
+  for (const search of searches) {
+    let matches;
+    try {
+      matches = await Article.find(
+        { ...buildQuery(search.filters || {}), article_id: { $in: newArticleIds } },
+        PAYLOAD_PROJECTION
+      )
+        .sort({ pubDate: -1 })
+        .lean();
+    } catch (error) {
+      logger.error(`Saved search "${search.name}" (${search._id}) could not be evaluated: ${error.message}`);
+      continue;
+    }
+
+    if (matches.length === 0) continue;
+
+    for (let i = 0; i < matches.length; i += WEBHOOK_BATCH_SIZE) {
+      await deliver(search, matches.slice(i, i + WEBHOOK_BATCH_SIZE), runId);
+      deliveries++;
+    }
+    await SavedSearch.updateOne({ _id: search._id }, { $set: { lastMatchedAt: new Date() } });
+  }
+
+  if (deliveries > 0) logger.info(`Saved searches: ${deliveries} webhook deliveries for run ${runId}`);
+  return { searches: searches.length, deliveries };
+};
+
+module.exports = {
+  findSavedSearch,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  rotateSecret,
+  deleteSavedSearch,
+  listDeliveries,
+  signPayload,
+  dispatchSavedSearchAlerts,
+};
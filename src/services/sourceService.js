@@ -0,0 +1,209 @@
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+
+const STATUSES = ['default', 'allowed', 'blocked'];
+const SORTS = {
+  articleCount: { articleCount: -1, _id: 1 },
+  lastSeenAt: { lastSeenAt: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Drop articles from blocked sources (or, with SOURCE_POLICY=allowlist, from
+ * any source not explicitly allowed) and apply per-source priority overrides.
+ */
+const applySourcePolicies = async (articles) => {
+  const allowlist = process.env.SOURCE_POLICY === 'allowlist';
+  const sourceIds = [...new Set(articles.map((a) => a.source_id).filter(Boolean))];
+
+  const policies = new Map(
+    (await Source.find(
+      { source_id: { $in: sourceIds } },
+      { source_id: 1, status: 1, priorityOverride: 1 }
+    ).lean()).map((s) => [s.source_id, s])
+  );
+
+  let blocked = 0;
+  const kept = [];
+
+  articles.forEach((article) => {
+    const policy = policies.get(article.source_id);
+    const status = policy?.status || 'default';
+
+    if (status === 'blocked' || (allowlist && status !== 'allowed')) {
+      blocked++;
+      return;
+    }
+
+    kept.push(
+      policy?.priorityOverride !== null && policy?.priorityOverride !== undefined
+        ? { ...article, source_priority: policy.priorityOverride }
+        : article
+    );
+  });
+
+  return { articles: kept, blocked };
+};
+
+/**
+ * Keep the Source registry up to date with the sources of a written page.
+ * `insertedIds` are the article_ids that were new, counted into articleCount.
+ */
+const recordSources = async (articles, insertedIds = []) => {
+  const inserted = new Set(insertedIds);
+  const bySource = new Map();
+
+  articles.forEach((article) => {
+    if (!article.source_id) return;
+    if (!bySource.has(article.source_id)) {
+      bySource.set(article.source_id, { latest: article, newCount: 0, categories: new Set(), languages: new Set(), providers: new Set() });
+    }
+    const entry = bySource.get(article.source_id);
+    if (inserted.has(article.article_id)) entry.newCount++;
+    (article.category || []).forEach((c) => entry.categories.add(c));
+    if (article.language) entry.languages.add(article.language);
+    if (article.provider) entry.providers.add(article.provider);
+  });
+
+  if (bySource.size === 0) return;
+
+  const now = new Date();
+  const ops = [...bySource.entries()].map(([sourceId, entry]) => ({
+    updateOne: {
+      filter: { source_id: sourceId },
+      update: {
+        // Only overwrite metadata the provider actually sent
+        $set: Object.fromEntries(
+          Object.entries({
+            name: entry.latest.source_name,
+            url: entry.latest.source_url,
+            icon: entry.latest.source_icon,
+            priority: entry.latest.source_priority,
+            lastSeenAt: now,
+          }).filter(([, value]) => value !== null && value !== undefined)
+        ),
+        $setOnInsert: { firstSeenAt: now, status: 'default' },
+        $inc: { articleCount: entry.newCount },
+        $addToSet: {
+          categories: { $each: [...entry.categories] },
+          languages: { $each: [...entry.languages] },
+          providers: { $each: [...entry.providers] },
+        },
+      },
+      upsert: true,
+    },
+  }));
+
+  await Source.bulkWrite(ops, { ordered: false });
+};
+
+/**
+ * Set articleCount from the articles actually stored, for the given sources
+ * or, without `sourceIds`, for every source. Used after bulk deletes and
+ * restores and to backfill counts recorded before they were tracked.
+ * Returns the number of sources updated.
+ */
+const recountSources = async (sourceIds) => {
+  const scoped = Array.isArray(sourceIds);
+  if (scoped && sourceIds.length === 0) return 0;
+
+  const counts = await Article.aggregate([
+    ...(scoped ? [{ $match: { source_id: { $in: sourceIds } } }] : [{ $match: { source_id: { $nin: [null, ''] } } }]),
+    { $group: { _id: '$source_id', count: { $sum: 1 } } },
+  ]);
+
+  const counted = counts.map((c) => c._id);
+  const ops = counts.map(({ _id, count }) => ({
+    updateOne: { filter: { source_id: _id }, update: { $set: { articleCount: count } } },
+  }));
+  // Sources with nothing left stored
+  ops.push({
+    updateMany: {
+      filter: { source_id: scoped ? { $in: sourceIds, $nin: counted } : { $nin: counted } },
+      update: { $set: { articleCount: 0 } },
+    },
+  });
+
+  const result = await Source.bulkWrite(ops, { ordered: false });
+  return result.modifiedCount;
+};
+
+/**
+ * Registry listing with article counts, last seen and coverage
+ */
+const listSources = async ({ status, search, sortBy = 'articleCount', page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (status) {
+    if (!STATUSES.includes(status)) throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    query.status = status;
+  }
+  if (search && search.trim()) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or = [{ source_id: { $regex: escaped, $options: 'i' } }, { name: { $regex: escaped, $options: 'i' } }];
+  }
+
+  const sort = SORTS[sortBy];
+  if (!sort) throw badRequest(`sortBy must be one of: ${Object.keys(SORTS).join(', ')}`);
+
+  const [sources, total] = await Promise.all([
+    Source.find(query).sort(sort).skip((page - 1) * limit).limit(limit).lean(),
+    Source.countDocuments(query),
+  ]);
+
+  return { sources, total };
+};
+
+/**
+ * Admin update of a source's status, priority override or note. Stored
+ * articles follow the override, or the upstream priority once it is cleared.
+ * With `purge`, articles already stored from a blocked source are deleted.
+ */
+const updateSourcePolicy = async (sourceId, { status, priorityOverride, note, purge = false }) => {
+  const update = {};
+
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    update.status = status;
+  }
+  if (priorityOverride !== undefined) {
+    if (priorityOverride !== null && !Number.isFinite(priorityOverride)) {
+      throw badRequest('priorityOverride must be a number or null');
+    }
+    update.priorityOverride = priorityOverride;
+  }
+  if (note !== undefined) {
+    if (note !== null && typeof note !== 'string') throw badRequest('note must be a string or null');
+    update.note = note;
+  }
+
+  const source = await Source.findOneAndUpdate(
+    { source_id: sourceId },
+    { $set: update, $setOnInsert: { firstSeenAt: new Date() } },
+    { new: true, upsert: true }
+  ).lean();
+
+  let purged = 0;
+  if (purge && source.status === 'blocked') {
+    ({ deletedCount: purged } = await Article.deleteMany({ source_id: sourceId }));
+    await Source.updateOne({ source_id: sourceId }, { $set: { articleCount: 0 } });
+  }
+
+  // Clearing the override hands stored articles back the upstream priority
+  if (priorityOverride !== undefined) {
+    const priority = priorityOverride ?? source.priority;
+    await Article.updateMany(
+      { source_id: sourceId },
+      priority !== null && priority !== undefined ? { $set: { source_priority: priority } } : { $unset: { source_priority: '' } }
+    );
+  }
+
+  return { source, purged };
+};
+
+module.exports = { applySourcePolicies, recordSources, recountSources, listSources, updateSourcePolicy };
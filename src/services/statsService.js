@@ -0,0 +1,129 @@
+const Article = require('../models/Article');
+const { buildQuery } = require('../utils/buildQuery');
+const { bucketRange, fromZoned, zonedParts } = require('../utils/timeBuckets');
+
+const INTERVALS = ['hour', 'day', 'week'];
+const GROUP_FIELDS = ['category', 'language', 'country', 'source_id'];
+// Array-valued fields are unwound so an article counts once per value
+// (bucket totals then sum the breakdown, not distinct articles)
+const ARRAY_FIELDS = ['category', 'country'];
+const MAX_BUCKETS = 2000;
+const DEFAULT_SPAN_DAYS = { hour: 2, day: 30, week: 84 };
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseDay = (value, name) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) throw badRequest(`${name} must be a YYYY-MM-DD date`);
+  return match.slice(1).map(Number);
+};
+
+/**
+ * Resolve startDate/endDate (whole local days in `timezone`) into [from, to)
+ */
+const resolveRange = ({ startDate, endDate, interval, timezone }) => {
+  let to;
+  if (endDate) {
+    const [y, m, d] = parseDay(endDate, 'endDate');
+    to = fromZoned(y, m, d + 1, 0, timezone);
+  } else {
+    to = new Date();
+  }
+
+  let from;
+  if (startDate) {
+    const [y, m, d] = parseDay(startDate, 'startDate');
+    from = fromZoned(y, m, d, 0, timezone);
+  } else {
+    const p = zonedParts(to, timezone);
+    from = fromZoned(p.year, p.month, p.day - DEFAULT_SPAN_DAYS[interval], interval === 'hour' ? p.hour : 0, timezone);
+  }
+
+  if (from >= to) throw badRequest('startDate must be before endDate');
+  return { from, to };
+};
+
+/**
+ * Article counts per time bucket, optionally broken down by a field.
+ * Buckets are zero-filled and aligned to `timezone`; breakdowns keep the
+ * `top` most frequent values and fold the rest into "other".
+ */
+const getTimeseries = async ({
+  interval = 'day',
+  groupBy,
+  timezone = 'UTC',
+  top = 10,
+  filters = {},
+}) => {
+  if (!INTERVALS.includes(interval)) throw badRequest(`interval must be one of: ${INTERVALS.join(', ')}`);
+  if (groupBy && !GROUP_FIELDS.includes(groupBy)) throw badRequest(`groupBy must be one of: ${GROUP_FIELDS.join(', ')}`);
+
+  const { startDate, endDate, ...rest } = filters;
+  const { from, to } = resolveRange({ startDate, endDate, interval, timezone });
+
+  const buckets = bucketRange(from, to, interval, timezone, MAX_BUCKETS);
+  if (!buckets) throw badRequest(`Date range too large for interval "${interval}" (max ${MAX_BUCKETS} buckets)`);
+
+  const query = { ...buildQuery(rest), pubDate: { $gte: from, $lt: to } };
+  const bucketExpr = {
+    $dateTrunc: { date: '$pubDate', unit: interval, timezone, ...(interval === 'week' && { startOfWeek: 'monday' }) },
+  };
+
+  const rows = await Article.aggregate([
+    { $match: query },
+    ...(groupBy && ARRAY_FIELDS.includes(groupBy)
+      ? [{ $unwind: { path: `$${groupBy}`, preserveNullAndEmptyArrays: true } }]
+      : []),
+    {
+      $group: {
+        _id: { bucket: bucketExpr, ...(groupBy && { key: { $ifNull: [`$${groupBy}`, 'unknown'] } }) },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  // Breakdown values ranked by their total over the whole range
+  let keys = [];
+  if (groupBy) {
+    const totals = new Map();
+    rows.forEach(({ _id, count }) => totals.set(_id.key, (totals.get(_id.key) || 0) + count));
+    keys = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+  }
+  const shown = keys.slice(0, top);
+  const hasOther = keys.length > shown.length;
+
+  const series = new Map(buckets.map((b) => [
+    b.getTime(),
+    {
+      start: b.toISOString(),
+      total: 0,
+      ...(groupBy && { counts: Object.fromEntries([...shown, ...(hasOther ? ['other'] : [])].map((k) => [k, 0])) }),
+    },
+  ]));
+
+  rows.forEach(({ _id, count }) => {
+    const bucket = series.get(new Date(_id.bucket).getTime());
+    if (!bucket) return;
+    bucket.total += count;
+    if (groupBy) {
+      const key = shown.includes(_id.key) ? _id.key : 'other';
+      bucket.counts[key] += count;
+    }
+  });
+
+  return {
+    interval,
+    timezone,
+    groupBy: groupBy || null,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    keys: groupBy ? [...shown, ...(hasOther ? ['other'] : [])] : [],
+    buckets: [...series.values()],
+  };
+};
+
+module.exports = { getTimeseries };
@@ -0,0 +1,188 @@
+const Article = require('../models/Article');
+const logger = require('../utils/logger');
+
+// MinHash over the word sets of title + description, bucketed with LSH:
+// 64 hash functions in 16 bands of 4 rows. Articles sharing a band are
+// candidates; they join the same story when their estimated Jaccard
+// similarity reaches the threshold.
+const SIGNATURE_SIZE = 64;
+const BAND_ROWS = 4;
+const MIN_SIMILARITY = parseFloat(process.env.CLUSTER_MIN_SIMILARITY) || 0.6;
+const WINDOW_HOURS = parseInt(process.env.CLUSTER_WINDOW_HOURS, 10) || 72;
+
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length > 1);
+
+// 32-bit FNV-1a
+const fnv1a = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// murmur3 finalizer, used to derive the independent hash functions
+const mix32 = (x) => {
+  let h = x >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(i + 0x9e3779b9));
+
+/**
+ * MinHash signature of an article's title and description.
+ * Returns null when there is not enough text to fingerprint.
+ */
+const fingerprint = ({ title, description }) => {
+  const tokens = new Set([...tokenize(title), ...tokenize(description)]);
+  if (tokens.size < 3) return null;
+
+  const hashes = [...tokens].map(fnv1a);
+  return SEEDS.map((seed) => {
+    let min = 0xffffffff;
+    hashes.forEach((h) => {
+      const v = mix32(h ^ seed);
+      if (v < min) min = v;
+    });
+    return min;
+  });
+};
+
+/**
+ * LSH band keys used to look up candidate near-duplicates
+ */
+const fingerprintBands = (signature) => {
+  if (!signature) return [];
+  const bands = [];
+  for (let i = 0; i < SIGNATURE_SIZE / BAND_ROWS; i++) {
+    const rows = signature.slice(i * BAND_ROWS, (i + 1) * BAND_ROWS).join('.');
+    bands.push(`${i}:${fnv1a(rows).toString(36)}`);
+  }
+  return bands;
+};
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ */
+const similarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+};
+
+/**
+ * Fields upsertArticles stores alongside each article
+ */
+const fingerprintFields = (article) => {
+  const fp = fingerprint(article);
+  return { fingerprint: fp, fingerprint_bands: fingerprintBands(fp) };
+};
+
+/**
+ * Put freshly upserted articles that have no cluster yet into the cluster of
+ * their nearest near-duplicate, or start a new cluster of their own.
+ * Runs sequentially so near-duplicates within the same page join each other.
+ */
+const assignClusters = async (articleIds) => {
+  if (!articleIds || articleIds.length === 0) return 0;
+
+  const pending = await Article.find(
+    { article_id: { $in: articleIds }, cluster_id: null },
+    { article_id: 1, fingerprint: 1, fingerprint_bands: 1, pubDate: 1 }
+  ).lean();
+
+  let joined = 0;
+
+  for (const article of pending) {
+    let clusterId = article.article_id;
+
+    if (article.fingerprint?.length) {
+      const around = article.pubDate || new Date();
+      const windowMs = WINDOW_HOURS * 3600000;
+
+      const candidates = await Article.find(
+        {
+          fingerprint_bands: { $in: article.fingerprint_bands },
+          article_id: { $ne: article.article_id },
+          cluster_id: { $ne: null },
+          pubDate: { $gte: new Date(around - windowMs), $lte: new Date(around.getTime() + windowMs) },
+        },
+        { article_id: 1, fingerprint: 1, cluster_id: 1 }
+      )
+        .limit(50)
+        .lean();
+
+      const nearest = candidates
+        .map((c) => ({ c, score: similarity(article.fingerprint, c.fingerprint) }))
+        .filter(({ score }) => score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)[0];
+
+      if (nearest) {
+        clusterId = nearest.c.cluster_id;
+        joined++;
+      }
+    }
+
+    await Article.updateOne({ _id: article._id }, { $set: { cluster_id: clusterId } });
+  }
+
+  if (joined > 0) logger.debug(`Clustered ${joined} near-duplicate article(s) into existing stories`);
+  return joined;
+};
+
+/**
+ * Other articles in the same story cluster, plus text-similar articles outside it
+ */
+const getRelatedArticles = async (article, { limit = 10, projection } = {}) => {
+  const clusterId = article.cluster_id || article.article_id;
+
+  const cluster = await Article.find(
+    { cluster_id: clusterId, article_id: { $ne: article.article_id } },
+    projection
+  )
+    .sort({ pubDate: -1 })
+    .limit(limit)
+    .lean();
+
+  const terms = tokenize(article.title).filter((t) => t.length > 3).join(' ');
+  const similar = terms
+    ? await Article.find(
+      {
+        $text: { $search: terms },
+        cluster_id: { $ne: clusterId },
+        article_id: { $ne: article.article_id },
+        ...(article.language ? { language: article.language } : {}),
+      },
+      { ...projection, score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean()
+    : [];
+
+  return { cluster, similar };
+};
+
+module.exports = {
+  fingerprint,
+  fingerprintBands,
+  fingerprintFields,
+  similarity,
+  assignClusters,
+  getRelatedArticles,
+};
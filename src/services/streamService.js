@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const IngestionRun = require('../models/IngestionRun');
+const { ENABLED: ENRICHMENT_ENABLED } = require('./enrichmentService');
+const logger = require('../utils/logger');
+
+/**
+ * Streams are fed by polling MongoDB rather than the in-process event bus:
+ * only the replica holding the ingestion lease emits those events, but
+ * clients may be connected to any replica.
+ */
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+const MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS, 10) || 500;
+const POLL_MS = parseInt(process.env.SSE_POLL_MS, 10) || 2000;
+// Upper bound on articles replayed to a reconnecting client
+const MAX_REPLAY = 500;
+// Articles published per poll; a larger backlog carries over to the next polls
+const POLL_BATCH = 500;
+// Articles younger than this are held back: upserts from concurrent batches or
+// replicas may still commit with a lower _id
+const SETTLE_MS = 5000;
+// How long an article is held back waiting for enrichment before it goes out without it
+const ENRICH_WAIT_MS = 60 * 1000;
+// How long a run's announced state is remembered after it was last seen
+const RUN_MEMORY_MS = 60 * 60 * 1000;
+
+const clients = new Set();
+let heartbeat = null;
+let poller = null;
+let polling = false;
+// Tail of the chain that keeps polls and replays from interleaving
+let exclusiveTail = Promise.resolve();
+// Newest article _id already published; null until the poller is seeded
+let lastArticleId = null;
+let lastRunPoll = null;
+// runId → { state: 'started' | 'finished', seenAt }
+const announcedRuns = new Map();
+
+const writeEvent = (client, { event, id, data }) => {
+  if (client.res.writableEnded) return;
+  let frame = '';
+  if (event) frame += `event: ${event}\n`;
+  if (id) frame += `id: ${id}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  client.res.write(frame);
+};
+
+/**
+ * Article events carry the article's ObjectId so clients can resume with
+ * Last-Event-ID. `client.lastId` is the newest _id the client has been
+ * sent; anything at or below it is not sent again.
+ */
+const sendArticles = (client, articles) => {
+  articles.forEach((article) => {
+    const id = String(article._id);
+    if (client.lastId && id <= client.lastId) return;
+    writeEvent(client, { event: 'article', id, data: article });
+    client.lastId = id;
+  });
+};
+
+const broadcast = (message) => clients.forEach((client) => writeEvent(client, message));
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => broadcast({ event: 'heartbeat', data: { time: new Date().toISOString() } }), HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+const stopHeartbeatIfIdle = () => {
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+  if (clients.size === 0 && poller) {
+    clearInterval(poller);
+    poller = null;
+    // Reseed on the next connection rather than flushing what came in meanwhile
+    lastArticleId = null;
+    lastRunPoll = null;
+    announcedRuns.clear();
+  }
+};
+
+/**
+ * Run `task` once every earlier task has settled
+ */
+const exclusive = (task) => {
+  const run = exclusiveTail.then(task);
+  exclusiveTail = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Start publishing after the newest stored article
+ */
+const seedCursor = async () => {
+  const newest = await Article.findOne({}, { _id: 1 }).sort({ _id: -1 }).lean();
+  lastArticleId = newest?._id || mongoose.Types.ObjectId.createFromTime(0);
+};
+
+/**
+ * Open an SSE stream for a client. `query` is the client's buildQuery filter;
+ * articles published after `lastEventId` are replayed first.
+ * Returns false when the server is at capacity.
+ */
+const addClient = async (req, res, { query, projection, lastEventId }) => {
+  if (clients.size >= MAX_CLIENTS) return false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { res, query, projection, lastId: null, closed: false };
+  req.on('close', () => {
+    client.closed = true;
+    clients.delete(client);
+    stopHeartbeatIfIdle();
+  });
+
+  // Replay up to the poll cursor and join the broadcast in one step, so the
+  // poller picks up exactly where the replay ended
+  await exclusive(async () => {
+    if (!lastArticleId) await seedCursor();
+
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const missed = await Article.find(
+        { ...query, _id: { $gt: new mongoose.Types.ObjectId(lastEventId), $lte: lastArticleId } },
+        projection
+      )
+        .sort({ _id: 1 })
+        .limit(MAX_REPLAY)
+        .lean();
+      sendArticles(client, missed);
+    }
+    client.lastId = String(lastArticleId);
+
+    if (client.closed) return;
+    clients.add(client);
+    startHeartbeat();
+    startPolling();
+  });
+
+  return true;
+};
+
+/**
+ * Push newly inserted articles (by _id) to every client whose filters match them.
+ * Clients sharing the same filters share one lookup.
+ */
+const publishArticles = async (articleIds) => {
+  if (clients.size === 0 || articleIds.length === 0) return;
+
+  const groups = new Map();
+  clients.forEach((client) => {
+    const key = JSON.stringify([client.query, client.projection]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(client);
+  });
+
+  for (const group of groups.values()) {
+    const { query, projection } = group[0];
+    const articles = await Article.find({ ...query, _id: { $in: articleIds } }, projection)
+      .sort({ _id: 1 })
+      .lean();
+    if (articles.length > 0) group.forEach((client) => sendArticles(client, articles));
+  }
+};
+
+// ─── Polling ──────────────────────────────────────────────────────────────────
+
+/**
+ * Whether an article may be published yet: settled past concurrent inserts,
+ * and enriched so filters on sentiment or AI tags can match it
+ */
+const isReady = (article, now) => {
+  const insertedAt = article._id.getTimestamp().getTime();
+  if (now - insertedAt < SETTLE_MS) return false;
+  return !ENRICHMENT_ENABLED || Boolean(article.enrichedAt) || now - insertedAt >= ENRICH_WAIT_MS;
+};
+
+/**
+ * Publish articles inserted since the last poll, in _id order. The cursor
+ * only moves over a run of ready articles, so one still waiting holds back
+ * everything after it; ObjectIds grow with insert time, which is also what
+ * Last-Event-ID replay relies on.
+ */
+const pollArticles = async () => {
+  if (!lastArticleId) return seedCursor();
+
+  const fresh = await Article.find({ _id: { $gt: lastArticleId } }, { _id: 1, enrichedAt: 1 })
+    .sort({ _id: 1 })
+    .limit(POLL_BATCH)
+    .lean();
+
+  const now = Date.now();
+  const waiting = fresh.findIndex((article) => !isReady(article, now));
+  const ready = waiting === -1 ? fresh : fresh.slice(0, waiting);
+  if (ready.length === 0) return;
+
+  lastArticleId = ready[ready.length - 1]._id;
+  await publishArticles(ready.map((article) => article._id));
+};
+
+/**
+ * Announce ingestion runs that started or finished since the last poll,
+ * whichever replica ran them. The query window overlaps the previous one;
+ * announcedRuns keeps each event from going out twice.
+ */
+const pollRuns = async () => {
+  const now = Date.now();
+  const since = new Date((lastRunPoll || now) - POLL_MS);
+  lastRunPoll = now;
+
+  const runs = await IngestionRun.find(
+    { updatedAt: { $gte: since } },
+    { trigger: 1, status: 1, upserted: 1, modified: 1 }
+  )
+    .sort({ startedAt: 1 })
+    .lean();
+
+  runs.forEach((run) => {
+    const runId = run._id;
+    const announced = announcedRuns.get(String(runId));
+    if (!announced) {
+      broadcast({ event: 'ingestion-start', data: { runId, trigger: run.trigger } });
+    }
+    const finished = run.status !== 'running';
+    if (finished && announced?.state !== 'finished') {
+      const { status, upserted, modified } = run;
+      broadcast({ event: 'ingestion-finish', data: { runId, status, upserted, modified } });
+    }
+    announcedRuns.set(String(runId), { state: finished ? 'finished' : 'started', seenAt: now });
+  });
+
+  announcedRuns.forEach(({ seenAt }, runId) => {
+    if (now - seenAt > RUN_MEMORY_MS) announcedRuns.delete(runId);
+  });
+};
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    await exclusive(async () => {
+      await pollArticles();
+      await pollRuns();
+    });
+  } catch (err) {
+    logger.error(`Stream poll failed: ${err.message}`);
+  } finally {
+    polling = false;
+  }
+};
+
+const startPolling = () => {
+  if (poller) return;
+  poller = setInterval(poll, POLL_MS);
+  poller.unref();
+  poll();
+};
+
+/**
+ * End every open stream; called during graceful shutdown so server.close() can finish
+ */
+const closeAllStreams = () => {
+  broadcast({ event: 'shutdown', data: { reconnect: true } });
+  clients.forEach((client) => client.res.end());
+  clients.clear();
+  stopHeartbeatIfIdle();
+};
+
+module.exports = { addClient, closeAllStreams, getClientCount: () => clients.size };
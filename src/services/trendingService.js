@@ -0,0 +1,165 @@
+const Article = require('../models/Article');
+const { buildQuery } = require('../utils/buildQuery');
+const { getStopwords } = require('../utils/stopwords');
+
+// Most articles scanned per period (window and baseline each); larger
+// periods are sampled and their counts scaled up to the full period
+const MAX_ARTICLES = parseInt(process.env.TRENDING_MAX_ARTICLES, 10) || 20000;
+const HOUR_MS = 3600000;
+
+const PROJECTION = {
+  article_id: 1,
+  title: 1,
+  keywords: 1,
+  language: 1,
+  pubDate: 1,
+  link: 1,
+  source_name: 1,
+};
+
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Distinct terms of one article: its keywords plus title unigrams and
+ * bigrams with stop words, numbers and very short tokens left out
+ */
+const articleTerms = (article) => {
+  const stopwords = getStopwords(article.language);
+  const useful = (token) => token.length > 2 && !/^\d+$/.test(token) && !stopwords.has(token);
+
+  const terms = new Set();
+  (article.keywords || []).forEach((k) => {
+    const keyword = k.trim().toLowerCase();
+    if (keyword && !stopwords.has(keyword)) terms.add(keyword);
+  });
+
+  const tokens = tokenize(article.title);
+  tokens.forEach((token, i) => {
+    if (!useful(token)) return;
+    terms.add(token);
+    if (i + 1 < tokens.length && useful(tokens[i + 1])) terms.add(`${token} ${tokens[i + 1]}`);
+  });
+
+  return terms;
+};
+
+/**
+ * Articles of one period, newest first. Returns { articles, total }; when
+ * `total` exceeds MAX_ARTICLES, `articles` is a uniform random sample so
+ * every part of the period is represented.
+ */
+const loadPeriod = async (query) => {
+  const total = await Article.countDocuments(query);
+
+  const articles = total <= MAX_ARTICLES
+    ? await Article.find(query, PROJECTION).sort({ pubDate: -1 }).lean()
+    : await Article.aggregate([
+      { $match: query },
+      { $sample: { size: MAX_ARTICLES } },
+      { $project: PROJECTION },
+      { $sort: { pubDate: -1 } },
+    ]);
+
+  return { articles, total };
+};
+
+/**
+ * Rank terms that are spiking in the recent window compared to their own
+ * rate over the preceding baseline period.
+ *
+ * score = (observed − expected) / √(expected + 1), where `expected` is the
+ * term's baseline count scaled to the window length. Always-frequent terms
+ * have a high expected count and so only score when they rise further.
+ */
+const getTrending = async ({
+  windowHours = 24,
+  baselineDays = 7,
+  limit = 20,
+  minCount = 3,
+  samples = 3,
+  filters = {},
+} = {}) => {
+  const now = Date.now();
+  const windowStart = new Date(now - windowHours * HOUR_MS);
+  const baselineStart = new Date(windowStart.getTime() - baselineDays * 24 * HOUR_MS);
+
+  const { language, category, country } = filters;
+  const filterQuery = buildQuery({ language, category, country });
+
+  // Capped separately, so a busy window can't crowd the baseline out
+  const [recent, earlier] = await Promise.all([
+    loadPeriod({ ...filterQuery, pubDate: { $gte: windowStart, $lte: new Date(now) } }),
+    loadPeriod({ ...filterQuery, pubDate: { $gte: baselineStart, $lt: windowStart } }),
+  ]);
+
+  const stats = new Map();
+  const statFor = (term) => {
+    if (!stats.has(term)) stats.set(term, { window: 0, baseline: 0, samples: [] });
+    return stats.get(term);
+  };
+
+  recent.articles.forEach((article) => {
+    articleTerms(article).forEach((term) => {
+      const stat = statFor(term);
+      stat.window++;
+      // Articles arrive newest first, so the first ones seen are the freshest
+      if (stat.samples.length < samples) {
+        stat.samples.push({
+          article_id: article.article_id,
+          title: article.title,
+          link: article.link,
+          source_name: article.source_name,
+          pubDate: article.pubDate,
+        });
+      }
+    });
+  });
+
+  earlier.articles.forEach((article) => {
+    articleTerms(article).forEach((term) => {
+      statFor(term).baseline++;
+    });
+  });
+
+  // Sampled counts scaled up to estimates for the whole period
+  const windowScale = recent.total / Math.max(1, recent.articles.length);
+  const baselineScale = earlier.total / Math.max(1, earlier.articles.length);
+  const scale = windowHours / (baselineDays * 24);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  let ranked = [...stats.entries()]
+    .map(([term, s]) => ({ term, s, count: s.window * windowScale, baselineCount: s.baseline * baselineScale }))
+    .filter(({ count }) => count >= minCount)
+    .map(({ term, s, count, baselineCount }) => {
+      const expected = baselineCount * scale;
+      return {
+        term,
+        count: round(count),
+        baselineCount: round(baselineCount),
+        expected: round(expected),
+        score: round((count - expected) / Math.sqrt(expected + 1)),
+        samples: s.samples,
+      };
+    })
+    .filter((t) => t.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  // Drop single words already covered by a trending phrase with about the same count
+  const phrases = ranked.filter((t) => t.term.includes(' '));
+  ranked = ranked.filter((t) => t.term.includes(' ')
+    || !phrases.some((p) => p.term.split(' ').includes(t.term) && p.count >= t.count * 0.8));
+
+  return {
+    window: { from: windowStart, to: new Date(now), hours: windowHours, articles: recent.total },
+    baseline: { from: baselineStart, to: windowStart, days: baselineDays, articles: earlier.total },
+    articlesScanned: recent.articles.length + earlier.articles.length,
+    sampled: recent.total > recent.articles.length || earlier.total > earlier.articles.length,
+    terms: ranked.slice(0, limit),
+  };
+};
+
+module.exports = { getTrending };
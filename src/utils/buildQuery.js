@@ -0,0 +1,104 @@
+const { compileSearch } = require('./searchQuery');
+const { toLanguageCode, toCountryCode } = require('./isoCodes');
+
+// Query params buildQuery understands; saved searches may only store these
+const FILTER_KEYS = [
+  'startDate', 'endDate', 'author', 'language', 'country', 'category', 'datatype', 'source', 'sentiment', 'ai_tag', 'search',
+];
+
+// Unrecognized values pass through so stored non-ISO values stay filterable
+const toCodes = (values, toCode) => [...new Set(values.filter(Boolean).map((value) => toCode(value) || value))];
+
+/**
+ * Build a MongoDB query object from request query params.
+ * Throws a 400 error when `search` doesn't parse.
+ */
+const buildQuery = (queryParams) => {
+  const {
+    startDate,
+    endDate,
+    author,
+    language,
+    country,
+    category,
+    datatype,
+    source,
+    sentiment,
+    ai_tag: aiTag,
+    search,
+  } = queryParams;
+
+  const query = {};
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.pubDate = {};
+    if (startDate) {
+      // date-only string "YYYY-MM-DD" → treat as UTC midnight
+      query.pubDate.$gte = new Date(startDate + 'T00:00:00.000Z');
+    }
+    if (endDate) {
+      // end of that day in UTC (23:59:59.999)
+      query.pubDate.$lte = new Date(endDate + 'T23:59:59.999Z');
+    }
+  }
+
+  // Author filter (case-insensitive partial match)
+  if (author && author.trim()) {
+    query.creator = { $elemMatch: { $regex: author.trim(), $options: 'i' } };
+  }
+
+  // Language filter (ISO 639-1 codes or names)
+  if (language) {
+    const langs = Array.isArray(language) ? language : language.split(',');
+    query.language = { $in: toCodes(langs, toLanguageCode) };
+  }
+
+  // Country filter (ISO 3166-1 alpha-2 codes or names)
+  if (country) {
+    const countries = Array.isArray(country) ? country : country.split(',');
+    query.country = { $in: toCodes(countries, toCountryCode) };
+  }
+
+  // Category multi-select (AND logic: article must have ALL selected categories)
+  if (category) {
+    const categories = Array.isArray(category) ? category : category.split(',');
+    const filtered = categories.filter(Boolean);
+    if (filtered.length > 0) {
+      query.category = { $in: filtered };
+    }
+  }
+
+  // Content type / datatype
+  if (datatype) {
+    const types = Array.isArray(datatype) ? datatype : datatype.split(',');
+    query.datatype = { $in: types.filter(Boolean) };
+  }
+
+  // Source filter (source_id)
+  if (source) {
+    const sources = Array.isArray(source) ? source : source.split(',');
+    query.source_id = { $in: sources.filter(Boolean) };
+  }
+
+  // Sentiment label (positive, neutral, negative)
+  if (sentiment) {
+    const labels = Array.isArray(sentiment) ? sentiment : sentiment.split(',');
+    query.sentiment = { $in: labels.filter(Boolean) };
+  }
+
+  // Topic tags (any of)
+  if (aiTag) {
+    const tags = Array.isArray(aiTag) ? aiTag : aiTag.split(',');
+    query.ai_tag = { $in: tags.filter(Boolean) };
+  }
+
+  // Search query language (phrases, AND/OR/NOT, field:value); see utils/searchQuery
+  if (search && search.trim()) {
+    Object.assign(query, compileSearch(search.trim()));
+  }
+
+  return query;
+};
+
+module.exports = { buildQuery, FILTER_KEYS };
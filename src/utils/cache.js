@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const CacheState = require('../models/CacheState');
+const newsEvents = require('./events');
+const logger = require('./logger');
+
+const DEFAULT_TTL_MS = parseInt(process.env.CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000;
+// How stale this instance's view of the shared cache version may get
+const SYNC_INTERVAL_MS = parseInt(process.env.CACHE_SYNC_INTERVAL_MS, 10) || 1000;
+const STATE_ID = 'responses';
+
+/**
+ * Default in-memory backend: TTL per entry, least recently used evicted first.
+ * Any other backend must implement the same (optionally async) get/set/clear.
+ */
+class MemoryStore {
+  constructor({ maxEntries = MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) return undefined;
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+let store = new MemoryStore();
+// When the cached data last changed; served as Last-Modified
+let lastModified = new Date();
+let lastSync = 0;
+
+const setCacheStore = (newStore) => {
+  store = newStore;
+};
+
+const getCacheStore = () => store;
+
+const getLastModified = () => lastModified;
+
+/**
+ * Catch up with invalidations made by other instances (or scripts): when the
+ * shared version has moved past ours, drop this instance's cached responses.
+ * Read at most once per CACHE_SYNC_INTERVAL_MS; on a database error the
+ * local version keeps being served.
+ */
+const syncCache = async () => {
+  if (Date.now() - lastSync < SYNC_INTERVAL_MS || mongoose.connection.readyState !== 1) return;
+  lastSync = Date.now();
+
+  try {
+    const state = await CacheState.findById(STATE_ID).lean();
+    if (state && state.lastModified > lastModified) {
+      lastModified = state.lastModified;
+      await store.clear();
+    }
+  } catch (err) {
+    logger.warn(`Response cache sync failed: ${err.message}`);
+  }
+};
+
+/**
+ * Drop every cached response, e.g. after new articles are ingested, and
+ * publish the new version so other instances drop theirs too
+ */
+const invalidateCache = async () => {
+  lastModified = new Date();
+  await store.clear();
+  await CacheState.updateOne(
+    { _id: STATE_ID },
+    { $max: { lastModified } },
+    { upsert: true }
+  ).catch((err) => logger.error(`Failed to publish cache invalidation: ${err.message}`));
+};
+
+newsEvents.on('ingestion:finished', ({ upserted, modified }) => {
+  if (upserted > 0 || modified > 0) {
+    invalidateCache()
+      .then(() => logger.debug('Response cache invalidated after ingestion'))
+      .catch((err) => logger.error(`Failed to invalidate response cache: ${err.message}`));
+  }
+});
+
+module.exports = {
+  MemoryStore,
+  DEFAULT_TTL_MS,
+  setCacheStore,
+  getCacheStore,
+  getLastModified,
+  syncCache,
+  invalidateCache,
+};
@@ -0,0 +1,13 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process bus for ingestion lifecycle events:
+ *   'ingestion:started'  → { runId, trigger }
+ *   'ingestion:batch'    → { runId, provider, batch, outcome, stats }
+ *   'ingestion:apiError' → { runId, provider, batch, status, code }
+ *   'ingestion:finished' → { runId, status, upserted, modified, durationMs }
+ */
+const newsEvents = new EventEmitter();
+newsEvents.setMaxListeners(0);
+
+module.exports = newsEvents;
@@ -0,0 +1,145 @@
+/**
+ * ISO 639-1 language and ISO 3166-1 alpha-2 country codes, stored lower case.
+ * English display names come from the runtime's CLDR data (Intl.DisplayNames);
+ * the alias tables cover the NewsData.io names that CLDR spells differently.
+ */
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+
+// CLDR regions that aren't countries
+const NOT_COUNTRIES = ['eu', 'ez', 'un', 'qo', 'xa', 'xb', 'zz'];
+
+const LANGUAGE_ALIASES = {
+  bengali: 'bn',
+  farsi: 'fa',
+  oriya: 'or',
+  slovene: 'sl',
+  tagalog: 'tl',
+  'kurdish sorani': 'ku',
+};
+
+const COUNTRY_ALIASES = {
+  'united states of america': 'us',
+  usa: 'us',
+  'united states': 'us',
+  uk: 'gb',
+  'great britain': 'gb',
+  britain: 'gb',
+  england: 'gb',
+  netherland: 'nl',
+  holland: 'nl',
+  'czech republic': 'cz',
+  turkey: 'tr',
+  russia: 'ru',
+  'south korea': 'kr',
+  'north korea': 'kp',
+  'hong kong': 'hk',
+  macau: 'mo',
+  macao: 'mo',
+  'ivory coast': 'ci',
+  congo: 'cg',
+  'republic of the congo': 'cg',
+  'dr congo': 'cd',
+  'democratic republic of the congo': 'cd',
+  macedonia: 'mk',
+  palestine: 'ps',
+  vatican: 'va',
+  'virgin islands (british)': 'vg',
+  'virgin islands (us)': 'vi',
+  swaziland: 'sz',
+  'east timor': 'tl',
+  'saint vincent and the grenadines': 'vc',
+  'heard island and mcdonald islands': 'hm',
+  'burkina fasco': 'bf',
+};
+
+/**
+ * Comparable form of a name: lower case, no diacritics or punctuation, "&" spelled out
+ */
+const nameKey = (value) =>
+  String(value)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const TWO_LETTER = [...LETTERS].flatMap((a) => [...LETTERS].map((b) => a + b));
+
+// Current codes only: deprecated ones ("iw", "ZR") canonicalize to another
+// two-letter code. "tl" stays even though CLDR prefers the three-letter "fil".
+const isCurrentLanguage = (code) => {
+  const canonical = Intl.getCanonicalLocales(code)[0];
+  return canonical === code || !/^[a-z]{2}(-|$)/.test(canonical);
+};
+
+const LANGUAGE_LABELS = new Map(
+  TWO_LETTER
+    .filter(isCurrentLanguage)
+    .map((code) => [code, languageNames.of(code)])
+    .filter(([code, label]) => label && label !== code)
+);
+
+const COUNTRY_LABELS = new Map(
+  TWO_LETTER
+    .filter((code) => !NOT_COUNTRIES.includes(code))
+    .filter((code) => Intl.getCanonicalLocales(`und-${code}`)[0] === `und-${code.toUpperCase()}`)
+    .map((code) => [code, regionNames.of(code.toUpperCase())])
+    .filter(([code, label]) => label && label.toLowerCase() !== code)
+);
+
+const buildLookup = (labels, aliases) => {
+  const lookup = new Map();
+  labels.forEach((label, code) => {
+    // "Myanmar (Burma)" answers to "myanmar burma", "myanmar" and "burma"
+    const parenthetical = /^(.*?)\s*\((.*)\)$/.exec(label);
+    const keys = [label, ...(parenthetical ? parenthetical.slice(1) : [])].map(nameKey);
+    keys.forEach((key) => {
+      if (!lookup.has(key)) lookup.set(key, code);
+      // CLDR abbreviates "St. Lucia"; feeds spell it out
+      if (key.startsWith('st ')) lookup.set(`saint ${key.slice(3)}`, code);
+    });
+  });
+  Object.entries(aliases).forEach(([alias, code]) => lookup.set(nameKey(alias), code));
+  return lookup;
+};
+
+const LANGUAGE_LOOKUP = buildLookup(LANGUAGE_LABELS, LANGUAGE_ALIASES);
+const COUNTRY_LOOKUP = buildLookup(COUNTRY_LABELS, COUNTRY_ALIASES);
+
+const toCode = (value, labels, lookup) => {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim().toLowerCase();
+  if (!raw) return null;
+
+  // "en", "en-GB", "pt_BR"
+  const code = raw.split(/[-_]/)[0];
+  if (code.length === 2 && labels.has(code)) return code;
+
+  return lookup.get(nameKey(raw)) || null;
+};
+
+/**
+ * ISO 639-1 code for a code, locale tag or English language name; null if unknown
+ */
+const toLanguageCode = (value) => toCode(value, LANGUAGE_LABELS, LANGUAGE_LOOKUP);
+
+/**
+ * ISO 3166-1 alpha-2 code (lower case) for a code or English country name; null if unknown
+ */
+const toCountryCode = (value) => toCode(value, COUNTRY_LABELS, COUNTRY_LOOKUP);
+
+/**
+ * English display name for a language code, else null
+ */
+const languageLabel = (code) => LANGUAGE_LABELS.get(String(code || '').toLowerCase()) || null;
+
+/**
+ * English display name for a country code, else null
+ */
+const countryLabel = (code) => COUNTRY_LABELS.get(String(code || '').toLowerCase()) || null;
+
+module.exports = { toLanguageCode, toCountryCode, languageLabel, countryLabel };
@@ -0,0 +1,216 @@
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const IngestionRun = require('../models/IngestionRun');
+const { schemas: newsSchemas } = require('../schemas/news');
+const { version } = require('../../package.json');
+
+/**
+ * OpenAPI 3 document generated from the route schemas that
+ * middleware/validate.js enforces, plus component schemas derived from the
+ * Mongoose models.
+ */
+
+// Rule keys that are validator-only and not part of an OpenAPI schema
+const INTERNAL_KEYS = ['required', 'description', 'example', 'allowEmpty'];
+
+const toSchema = (rule) => {
+  const schema = Object.fromEntries(Object.entries(rule).filter(([key]) => !INTERNAL_KEYS.includes(key)));
+  if (rule.items) schema.items = toSchema(rule.items);
+  return schema;
+};
+
+const toParameter = (name, rule, location) => ({
+  name,
+  in: location,
+  required: location === 'path' || Boolean(rule.required),
+  ...(rule.description && { description: rule.description }),
+  ...(rule.example !== undefined && { example: rule.example }),
+  schema: toSchema(rule),
+  // Multi-value filters are comma-separated (?language=en,nl)
+  ...(rule.type === 'array' && { style: 'form', explode: false }),
+});
+
+// Express ":id" → OpenAPI "{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// ─── Components From Models ───────────────────────────────────────────────────
+
+const pathSchema = (schemaType) => {
+  switch (schemaType.instance) {
+    case 'String':
+      return { type: 'string', ...(schemaType.enumValues?.length && { enum: schemaType.enumValues }) };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      return { type: 'string', pattern: '^[a-f0-9]{24}$' };
+    case 'Array':
+      return { type: 'array', items: schemaType.caster ? pathSchema(schemaType.caster) : {} };
+    case 'Map':
+      return { type: 'object', additionalProperties: { type: 'number' } };
+    default:
+      return { type: 'object' };
+  }
+};
+
+/**
+ * JSON schema of a model's publicly selected top-level fields
+ */
+const modelSchema = (model, only) => {
+  const properties = {};
+  model.schema.eachPath((name, schemaType) => {
+    if (name.includes('.') || schemaType.options.select === false) return;
+    if (only && !only.includes(name)) return;
+    properties[name] = pathSchema(schemaType);
+  });
+  return { type: 'object', properties };
+};
+
+const LIST_FIELDS = [
+  'article_id', 'title', 'description', 'link', 'creator', 'pubDate', 'source_name', 'source_icon',
+  'image_url', 'category', 'country', 'language', 'datatype', 'sentiment', 'cluster_id', '_id',
+];
+
+const components = () => ({
+  securitySchemes: {
+    ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    Bearer: { type: 'http', scheme: 'bearer' },
+  },
+  schemas: {
+    Article: modelSchema(Article),
+    ArticleSummary: modelSchema(Article, LIST_FIELDS),
+    Source: modelSchema(Source),
+    IngestionRun: modelSchema(IngestionRun),
+    Pagination: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        totalPages: { type: 'integer' },
+        hasNextPage: { type: 'boolean' },
+        hasPrevPage: { type: 'boolean' },
+        nextCursor: { type: 'string', nullable: true, description: 'Keyset mode only' },
+      },
+    },
+    CodeLabel: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', example: 'nl' },
+        label: { type: 'string', example: 'Netherlands' },
+      },
+    },
+    Facets: {
+      type: 'object',
+      description: 'Only present when `facets` is requested',
+      additionalProperties: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { value: { type: 'string' }, count: { type: 'integer' } },
+        },
+      },
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string' },
+      },
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string', example: 'Invalid request: limit must be at most 100' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string', example: 'limit' },
+              in: { type: 'string', enum: ['query', 'path'] },
+              message: { type: 'string', example: 'must be at most 100' },
+            },
+          },
+        },
+      },
+    },
+  },
+});
+
+// ─── Operations ───────────────────────────────────────────────────────────────
+
+const errorResponse = (description, name = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } },
+});
+
+const operation = (id, schema) => {
+  const parameters = [
+    ...Object.entries(schema.params || {}).map(([name, rule]) => toParameter(name, rule, 'path')),
+    ...Object.entries(schema.query || {}).map(([name, rule]) => toParameter(name, rule, 'query')),
+  ];
+
+  const body = {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, data: {}, ...schema.response },
+  };
+  const content = schema.produces
+    ? Object.fromEntries(schema.produces.map((type) => [type, {}]))
+    : { 'application/json': { schema: body } };
+
+  const responses = {
+    [schema.status || 200]: { description: 'OK', content },
+    ...(parameters.length > 0 && { 400: errorResponse('Invalid parameters', 'ValidationError') }),
+    ...(schema.params && { 404: errorResponse('Not found') }),
+    ...(schema.scope && { 401: errorResponse('API key required'), 403: errorResponse('API key lacks the scope') }),
+    429: errorResponse('Rate limited'),
+  };
+
+  return {
+    operationId: id,
+    tags: [schema.tag],
+    summary: schema.summary,
+    ...((schema.description || schema.scope) && {
+      description: [schema.description, schema.scope && `Requires an API key with the \`${schema.scope}\` scope.`]
+        .filter(Boolean)
+        .join('\n\n'),
+    }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(schema.scope && { security: [{ ApiKey: [] }, { Bearer: [] }] }),
+    responses,
+  };
+};
+
+// Documented routers by mount path
+const MOUNTS = { '/api/news': newsSchemas };
+
+const buildOpenApiSpec = ({ serverUrl = '/' } = {}) => {
+  const paths = {};
+
+  Object.entries(MOUNTS).forEach(([base, schemas]) => {
+    Object.entries(schemas).forEach(([id, schema]) => {
+      const path = toOpenApiPath(`${base}${schema.path === '/' ? '' : schema.path}`);
+      paths[path] = { ...paths[path], [schema.method]: operation(id, schema) };
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'News Aggregator API',
+      version,
+      description: 'Anonymous clients can read articles; send an API key as `X-API-Key` or '
+        + '`Authorization: Bearer` for higher rate limits and admin routes.',
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: components(),
+  };
+};
+
+module.exports = { buildOpenApiSpec };
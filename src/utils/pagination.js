@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Keyset (cursor) pagination over (sort field, _id).
+ * Cursors are opaque base64url JSON: { f: field, d: direction, v: value, t: type, id }.
+ */
+
+const badCursor = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+};
+
+/**
+ * Cursor pointing just past `doc` in the given sort
+ */
+const encodeCursor = (doc, field, dir) => {
+  const value = doc[field];
+  const payload = {
+    f: field,
+    d: dir,
+    t: typeOf(value),
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check it belongs to the requested sort.
+ * Throws a 400 error for malformed or mismatched cursors.
+ */
+const decodeCursor = (cursor, field, dir) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw badCursor('Invalid cursor');
+  }
+
+  if (!payload || !mongoose.isValidObjectId(payload.id)) throw badCursor('Invalid cursor');
+  if (payload.f !== field || payload.d !== dir) {
+    throw badCursor('Cursor does not match the requested sortBy/sortOrder');
+  }
+
+  let value = payload.v;
+  if (payload.t === 'date') value = new Date(payload.v);
+  if (payload.t === 'null') value = null;
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+/**
+ * Filter selecting documents after the cursor position.
+ * Nulls sort lowest in MongoDB: last in descending order, first in ascending.
+ */
+const keysetFilter = (field, dir, { value, id }) => {
+  const idOp = dir === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return dir === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const after = [
+    { [field]: { [idOp]: value } },
+    { [field]: value, _id: { [idOp]: id } },
+  ];
+  if (dir === -1) after.push({ [field]: null });
+
+  return { $or: after };
+};
+
+/**
+ * Add a keyset condition to an existing query without moving $text out of the top level
+ */
+const applyKeyset = (query, keyset) => {
+  const combined = { ...query };
+  combined.$and = [...(query.$and || []), keyset];
+  return combined;
+};
+
+module.exports = { encodeCursor, decodeCursor, keysetFilter, applyKeyset };
@@ -0,0 +1,74 @@
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Sleep that wakes early when `signal` aborts
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * 429s, 5xx responses and transient network failures are worth retrying
+ */
+const isRetryableHttpError = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+};
+
+/**
+ * Exponential backoff with full jitter
+ */
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+  Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+/**
+ * Call `fn` until it succeeds or the retry budget is spent. A Retry-After
+ * header on the error's response takes precedence over the computed backoff;
+ * one longer than `maxDelayMs` is not worth waiting for and fails immediately.
+ */
+const withRetry = async (fn, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+  shouldRetry = isRetryableHttpError,
+  onRetry = () => {},
+  signal,
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) throw error;
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null && retryAfter > maxDelayMs) throw error;
+
+      const wait = retryAfter ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      onRetry(error, attempt + 1, wait);
+      await sleep(wait, signal);
+      if (signal?.aborted) throw error;
+    }
+  }
+};
+
+module.exports = { withRetry, sleep, parseRetryAfter, isRetryableHttpError };
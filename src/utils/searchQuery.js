@@ -0,0 +1,275 @@
+/**
+ * Search query language for the `search` parameter.
+ *
+ *   climate "heat wave"            both required (implicit AND)
+ *   climate OR weather             either
+ *   NOT opinion, -opinion          exclude
+ *   (climate OR weather) -sports   grouping
+ *   title:"heat wave" author:reuters category:science
+ *   source:bbc keyword:energy country:france lang:english (or country:fr lang:en)
+ *   after:7d before:2024-01-01     relative (h, d, w, m, y) or YYYY-MM-DD
+ *
+ * AND, OR and NOT are only operators in upper case, and only the fields
+ * above are qualifiers: "Update:" or a pasted URL is searched as a plain
+ * term. Free terms at the top level of the query compile to a single $text
+ * search (index-backed and ranked for sortBy=relevance); terms nested under
+ * OR/NOT/groups compile to case-insensitive whole-word regex clauses, and
+ * field qualifiers to regex clauses, since MongoDB allows $text only once
+ * and only at the top level.
+ */
+
+const { toLanguageCode, toCountryCode } = require('./isoCodes');
+
+const FIELDS = ['title', 'source', 'author', 'keyword', 'category', 'country', 'lang', 'after', 'before'];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const UNIT_MS = { h: 3600000, d: 86400000, w: 7 * 86400000, m: 30 * 86400000, y: 365 * 86400000 };
+
+/**
+ * 400 error pointing at the offending token (1-based `position`)
+ */
+const syntaxError = (message, token) => {
+  const position = token ? token.start + 1 : undefined;
+  const error = new Error(`Invalid search query: ${message}${position ? ` at position ${position}` : ''}`);
+  error.status = 400;
+  error.details = [{
+    field: 'search',
+    in: 'query',
+    message,
+    ...(token && { position, token: token.text }),
+  }];
+  return error;
+};
+
+// ─── Tokenizer ────────────────────────────────────────────────────────────────
+
+const readPhrase = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) throw syntaxError('Unterminated quote', { start, text: input.slice(start) });
+  return { value: input.slice(start + 1, end), end: end + 1 };
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, text: ch, start: i });
+      i++;
+    } else if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT', text: '-', start: i });
+      i++;
+    } else if (ch === '"') {
+      const { value, end } = readPhrase(input, i);
+      if (!value.trim()) throw syntaxError('Empty phrase', { start: i, text: input.slice(i, end) });
+      tokens.push({ type: 'TERM', value, text: input.slice(i, end), start: i });
+      i = end;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      const text = input.slice(start, i);
+      const qualifier = /^([a-z]+):(.*)$/i.exec(text);
+
+      if (OPERATORS.includes(text)) {
+        tokens.push({ type: text, text, start });
+      } else if (qualifier && FIELDS.includes(qualifier[1].toLowerCase())) {
+        const field = qualifier[1].toLowerCase();
+        let value = qualifier[2];
+        let end = i;
+
+        if (!value && input[i] === '"') {
+          ({ value, end } = readPhrase(input, i));
+          i = end;
+        }
+        if (!value.trim()) throw syntaxError(`Missing value for "${field}:"`, { start, text: input.slice(start, end) });
+
+        tokens.push({ type: 'FIELD', field, value, text: input.slice(start, end), start });
+      } else {
+        // "Update:" is the word, not a qualifier; "https://…" stays whole
+        const value = qualifier && !qualifier[2] ? qualifier[1] : text;
+        tokens.push({ type: 'TERM', value, text, start });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// ─── Parser ───────────────────────────────────────────────────────────────────
+
+/**
+ * Recursive descent over:
+ *   or      := and (OR and)*
+ *   and     := unary ((AND)? unary)*
+ *   unary   := NOT unary | primary
+ *   primary := "(" or ")" | TERM | FIELD
+ */
+const parseSearch = (input) => {
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const startsTerm = (token) => token && ['TERM', 'FIELD', '(', 'NOT'].includes(token.type);
+
+  const expectTerm = (after) => {
+    const token = peek();
+    if (!startsTerm(token)) {
+      throw syntaxError(`Expected a term after ${after.text}`, token || after);
+    }
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw syntaxError('Unexpected end of query', tokens[tokens.length - 1]);
+
+    if (token.type === '(') {
+      pos++;
+      if (peek()?.type === ')') throw syntaxError('Empty group', token);
+      const node = parseOr();
+      if (peek()?.type !== ')') throw syntaxError('Missing closing parenthesis for "("', token);
+      pos++;
+      return node;
+    }
+    if (token.type === 'TERM') {
+      pos++;
+      return { type: 'term', value: token.value, token };
+    }
+    if (token.type === 'FIELD') {
+      pos++;
+      return { type: 'field', field: token.field, value: token.value, token };
+    }
+    throw syntaxError(`Unexpected "${token.text}"`, token);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === 'NOT') {
+      pos++;
+      expectTerm(token);
+      return { type: 'not', operand: parseUnary(), token };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const items = [parseUnary()];
+    for (;;) {
+      const token = peek();
+      if (token?.type === 'AND') {
+        pos++;
+        expectTerm(token);
+        items.push(parseUnary());
+      } else if (startsTerm(token)) {
+        items.push(parseUnary());
+      } else {
+        break;
+      }
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  parseOr = () => {
+    const items = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      const token = tokens[pos++];
+      expectTerm(token);
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  if (tokens.length === 0) return null;
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw syntaxError(`Unexpected "${tokens[pos].text}"`, tokens[pos]);
+  return ast;
+};
+
+// ─── Compiler ─────────────────────────────────────────────────────────────────
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plain objects rather than RegExp instances so compiled queries stay JSON-serializable
+const contains = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+// Whole words only, like $text: `rain` must not match "training"
+const wholeWords = (value) => ({
+  $regex: `(?<![\\p{L}\\p{N}_])${value.trim().split(/\s+/).map(escapeRegex).join('\\s+')}(?![\\p{L}\\p{N}_])`,
+  $options: 'i',
+});
+const exactly = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+
+const parseDateValue = (node, now) => {
+  const relative = /^(\d+)([hdwmy])$/i.exec(node.value);
+  if (relative) return new Date(now.getTime() - parseInt(relative[1], 10) * UNIT_MS[relative[2].toLowerCase()]);
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(node.value)) {
+    const date = new Date(`${node.value}T00:00:00.000Z`);
+    if (!isNaN(date) && date.toISOString().startsWith(node.value)) return date;
+  }
+  throw syntaxError(`"${node.field}:" needs a relative age like 7d or a YYYY-MM-DD date`, node.token);
+};
+
+const FIELD_CLAUSES = {
+  title: (value) => ({ title: contains(value) }),
+  author: (value) => ({ creator: contains(value) }),
+  source: (value) => ({ $or: [{ source_id: exactly(value) }, { source_name: contains(value) }] }),
+  keyword: (value) => ({ keywords: exactly(value) }),
+  category: (value) => ({ category: exactly(value) }),
+  country: (value) => ({ country: exactly(toCountryCode(value) || value) }),
+  lang: (value) => ({ language: exactly(toLanguageCode(value) || value) }),
+};
+
+const compileNode = (node, now) => {
+  switch (node.type) {
+    case 'term':
+      return { $or: [{ title: wholeWords(node.value) }, { description: wholeWords(node.value) }] };
+    case 'field':
+      if (node.field === 'after') return { pubDate: { $gte: parseDateValue(node, now) } };
+      if (node.field === 'before') return { pubDate: { $lt: parseDateValue(node, now) } };
+      return FIELD_CLAUSES[node.field](node.value);
+    case 'not':
+      return { $nor: [compileNode(node.operand, now)] };
+    case 'and':
+      return { $and: node.items.map((item) => compileNode(item, now)) };
+    default:
+      return { $or: node.items.map((item) => compileNode(item, now)) };
+  }
+};
+
+// Each term as a $text phrase so every one of them is required
+const textPhrase = (node) => `"${node.value.replace(/"/g, '')}"`;
+
+/**
+ * Compile a search string into MongoDB query fields: `$text` for top-level
+ * free terms and/or `$and` for everything else. Throws a 400 error with the
+ * offending token on syntax errors.
+ */
+const compileSearch = (input, { now = new Date() } = {}) => {
+  const ast = parseSearch(input);
+  if (!ast) return {};
+
+  const top = ast.type === 'and' ? ast.items : [ast];
+  const include = top.filter((node) => node.type === 'term');
+  const exclude = top.filter((node) => node.type === 'not' && node.operand.type === 'term');
+
+  // $text can't be purely negative, so exclusions only ride along with a positive term
+  const textNodes = include.length > 0 ? [...include, ...exclude] : [];
+  const clauses = top.filter((node) => !textNodes.includes(node)).map((node) => compileNode(node, now));
+
+  const query = {};
+  if (textNodes.length > 0) {
+    query.$text = {
+      $search: [...include.map(textPhrase), ...exclude.map((node) => `-${textPhrase(node.operand)}`)].join(' '),
+    };
+  }
+  if (clauses.length > 0) query.$and = clauses;
+  return query;
+};
+
+module.exports = { parseSearch, compileSearch, SEARCH_FIELDS: FIELDS };
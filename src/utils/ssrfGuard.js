@@ -0,0 +1,100 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Outgoing requests to user- or feed-supplied URLs (webhooks, article links)
+ * must not reach loopback, link-local or private hosts. Addresses are checked
+ * after DNS resolution, on every connection, so redirects and DNS rebinding
+ * are covered too. ALLOW_PRIVATE_TARGETS=true lifts the check for local
+ * development and fixture servers.
+ */
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const allowPrivate = () => process.env.ALLOW_PRIVATE_TARGETS === 'true';
+
+/**
+ * True for IP literals in a loopback, link-local, private or reserved range
+ */
+const isPrivateAddress = (address) => {
+  const host = String(address).replace(/^\[|\]$/g, '');
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(host);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(host);
+  if (family === 0) return false;
+  return BLOCKED.check(host, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = (host) => {
+  const error = new Error(`Refusing to connect to private address ${host}`);
+  error.code = 'EPRIVATEADDR';
+  return error;
+};
+
+/**
+ * dns.lookup that fails when the host resolves to a private address
+ */
+const publicLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    if (!allowPrivate() && addresses.some(isPrivateAddress)) return callback(blockedError(hostname));
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Resolve a URL's host and throw EPRIVATEADDR if any address is private.
+ * IP literals never go through a lookup, so this check is needed before
+ * connecting as well as the agent's.
+ */
+const assertPublicUrl = async (url) => {
+  if (allowPrivate()) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+  if (addresses.some(isPrivateAddress)) throw blockedError(host);
+};
+
+/**
+ * axios options that keep a request, and any redirect it follows, on public hosts
+ */
+const publicRequestOptions = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  // Redirects to IP literals skip the lookup; follow-redirects turns the throw into a request error
+  beforeRedirect: (options) => {
+    if (!allowPrivate() && isPrivateAddress(options.hostname)) throw blockedError(options.hostname);
+  },
+};
+
+module.exports = { isPrivateAddress, assertPublicUrl, publicRequestOptions };
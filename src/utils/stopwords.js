@@ -0,0 +1,54 @@
+/**
+ * Stop-word lists for the languages we ingest, keyed by ISO 639-1 code.
+ * Language names are accepted too (articles stored before codes were).
+ */
+const { toLanguageCode } = require('./isoCodes');
+
+const LISTS = {
+  en: `a about above after again against all also am an and any are around as at be because been before being
+    below between both but by can could did do does doing down during each even few for from further get gets
+    got had has have having he her here hers herself him himself his how i if in into is it its itself just
+    last like made make many may me more most much must my myself new news no nor not now of off on once one
+    only or other our ours ourselves out over own per said same says she should since so some still such than
+    that the their theirs them themselves then there these they this those through to too two under until up
+    us very via was we were what when where which while who whom why will with would year years you your yours
+    yourself yourselves live update updates latest watch video photos report today week`,
+  nl: `aan al alles als altijd andere ben bij daar dan dat de der deze die dit doch doen door dus een eens en er
+    ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun iemand iets ik in is ja je kan kon kunnen
+    maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat onder ons ook op over reeds te tegen
+    toch toen tot u uit uw van veel voor want waren was wat werd wezen wie wil worden wordt zal ze zelf zich zij
+    zijn zo zonder zou live nieuws`,
+  de: `aber alle allem allen aller alles als also am an ander andere anderem anderen anderer anderes auch auf aus
+    bei bin bis bist da damit dann das dass dein deine dem den der des dich die dies diese dieser dieses dir doch
+    dort du durch ein eine einem einen einer eines er es etwas euer für gegen gewesen hab habe haben hat hatte
+    hier hin hinter ich ihm ihn ihr ihre im in ist jede jedem jeden jeder jedes jetzt kann kein keine können man
+    mehr mein meine mit muss nach nicht nichts noch nun nur ob oder ohne sehr sein seine sich sie sind so soll
+    über um und uns unser unter vom von vor war waren warum was weil wenn wer werden wie wieder will wir wird
+    wo zu zum zur zwischen neue neuen live`,
+  es: `a al algo algunas algunos ante antes como con contra cual cuando de del desde donde dos el ella ellas
+    ellos en entre era es esa esas ese eso esos esta estas este esto estos fue fueron ha hace han hasta hay la
+    las le les lo los más me mi mientras muy nada ni no nos nosotros o otra otras otro otros para pero poco por
+    porque que quien se sea ser si sin sobre son su sus también tanto te tiene tienen todo todos tu un una uno
+    unos y ya años según nuevo nueva`,
+  fr: `à ai au aux avec ce ces cette dans de des du elle en est et eux il ils je la le les leur leurs lui ma mais
+    me même mes moi mon ne nos notre nous on ou où par pas pour qu que qui sa se ses son sont sur ta te tes toi
+    ton tu un une vos votre vous été être avoir fait plus après aussi comme entre selon sans sous nouveau nouvelle`,
+  hu: `a az és hogy nem is egy de meg már csak mint ki el be fel le ha vagy van volt lesz még sem szerint után
+    alatt között miatt ez azt ezt ami aki pedig mert majd így úgy`,
+  sk: `a aj ako ale alebo ani až by do je ju k ku len ma na nad nie o od po pod pre pri s sa so som sú tak to
+    už v vo z za že ktorý ktorá ktoré`,
+};
+
+const sets = Object.fromEntries(
+  Object.entries(LISTS).map(([code, words]) => [code, new Set(words.split(/\s+/).filter(Boolean))])
+);
+
+// Used when an article's language is unknown or has no list of its own
+const FALLBACK = sets.en;
+
+/**
+ * Stop-word set for a language code or NewsData language name
+ */
+const getStopwords = (language) => sets[toLanguageCode(language)] || FALLBACK;
+
+module.exports = { getStopwords };
@@ -0,0 +1,110 @@
+/**
+ * Timezone-aware bucket boundaries matching MongoDB's $dateTrunc
+ * (weeks start on Monday). Uses Intl, so any IANA zone name works.
+ */
+
+const HOUR_MS = 3600000;
+const formatters = new Map();
+
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const WEEKDAYS = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+/**
+ * Wall-clock fields of `date` in `timezone`
+ */
+const zonedParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    formatterFor(timezone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+// Offset of `timezone` from UTC at instant `ms`
+const offsetAt = (ms, timezone) => {
+  const p = zonedParts(new Date(ms), timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+/**
+ * Instant at which the wall clock in `timezone` reads the given local time.
+ * Day overflow (e.g. day 32) rolls over like Date.UTC.
+ */
+const fromZoned = (year, month, day, hour, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const first = guess - offsetAt(guess, timezone);
+  // Re-check in case the first guess crossed a DST transition
+  return new Date(guess - offsetAt(first, timezone));
+};
+
+/**
+ * Start of the bucket containing `date`
+ */
+const truncate = (date, unit, timezone) => {
+  const p = zonedParts(date, timezone);
+  if (unit === 'hour') {
+    // Whole-hour steps in absolute time; zones with fractional offsets still truncate locally
+    const offset = offsetAt(date.getTime(), timezone);
+    const local = date.getTime() + offset;
+    return new Date(local - (local % HOUR_MS) - offset);
+  }
+  if (unit === 'day') return fromZoned(p.year, p.month, p.day, 0, timezone);
+  if (unit === 'week') return fromZoned(p.year, p.month, p.day - p.weekday, 0, timezone);
+  throw new Error(`Unsupported bucket unit: ${unit}`);
+};
+
+/**
+ * Start of the bucket after the one starting at `start`
+ */
+const nextBucket = (start, unit, timezone) => {
+  if (unit === 'hour') return new Date(start.getTime() + HOUR_MS);
+  const p = zonedParts(start, timezone);
+  return fromZoned(p.year, p.month, p.day + (unit === 'week' ? 7 : 1), 0, timezone);
+};
+
+/**
+ * Every bucket start from the bucket containing `from` up to `to` (exclusive)
+ */
+const bucketRange = (from, to, unit, timezone, maxBuckets = Infinity) => {
+  const buckets = [];
+  for (let b = truncate(from, unit, timezone); b < to; b = nextBucket(b, unit, timezone)) {
+    buckets.push(b);
+    if (buckets.length > maxBuckets) return null;
+  }
+  return buckets;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+module.exports = { zonedParts, fromZoned, truncate, nextBucket, bucketRange, isValidTimezone };
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Keep per-domain spacing short so the suite runs in well under a second
+process.env.EXTRACTION_DOMAIN_INTERVAL_MS = '1';
+
+const { extractArticle } = require('../src/services/extractionService');
+const { clearRobotsCache } = require('../src/services/extraction/robotsTxt');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'extraction', name));
+
+/**
+ * Local stand-in for a news site. `/flaky` rate-limits its first request.
+ */
+const createFixtureServer = () => {
+  const hits = new Map();
+
+  const server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+    const html = (body) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(body);
+    };
+
+    switch (req.url) {
+      case '/robots.txt':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end(fixture('robots.txt'));
+      case '/news/park':
+      case '/private/park':
+        return html(fixture('article.html'));
+      case '/news/old-park':
+        res.writeHead(301, { Location: '/news/park' });
+        return res.end();
+      case '/news/flaky':
+        if (hits.get(req.url) === 1) {
+          res.writeHead(429, { 'Retry-After': '0' });
+          return res.end();
+        }
+        return html(fixture('article.html'));
+      case '/news/live':
+        return html(fixture('thin.html'));
+      case '/reports/budget.pdf':
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        return res.end('%PDF-1.4');
+      default:
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        return res.end('<h1>Not found</h1>');
+    }
+  });
+
+  return { server, hits };
+};
+
+describe('extractArticle against a local fixture site', () => {
+  const { server, hits } = createFixtureServer();
+  let base;
+
+  before(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    // The fixture server is on loopback, which the SSRF guard refuses by default
+    process.env.ALLOW_PRIVATE_TARGETS = 'true';
+    clearRobotsCache();
+    hits.clear();
+  });
+
+  it('extracts the article body, lead image and byline', async () => {
+    const result = await extractArticle({ link: `${base}/news/park` });
+
+    assert.equal(result.status, 'success');
+    assert.match(result.content, /seven to two on Tuesday night/);
+    assert.doesNotMatch(result.content, /Most read|Road closures/);
+    assert.equal(result.image_url, `${base}/images/riverside-park.jpg`);
+    assert.equal(result.byline, 'Dana Whitfield');
+    assert.ok(result.length >= 200);
+  });
+
+  it('resolves relative URLs against the page a redirect ended on', async () => {
+    const result = await extractArticle({ link: `${base}/news/old-park` });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.image_url, `${base}/images/riverside-park.jpg`);
+  });
+
+  it('does not fetch pages robots.txt disallows', async () => {
+    const result = await extractArticle({ link: `${base}/private/park` });
+
+    assert.equal(result.status, 'blocked');
+    assert.equal(hits.get('/private/park'), undefined);
+  });
+
+  it('retries a 429 response after its Retry-After', async () => {
+    const result = await extractArticle({ link: `${base}/news/flaky` });
+
+    assert.equal(result.status, 'success');
+    assert.equal(hits.get('/news/flaky'), 2);
+  });
+
+  it('skips non-HTML responses', async () => {
+    const result = await extractArticle({ link: `${base}/reports/budget.pdf` });
+
+    assert.equal(result.status, 'skipped');
+    assert.match(result.error, /application\/pdf/);
+  });
+
+  it('fails pages without enough readable text', async () => {
+    const result = await extractArticle({ link: `${base}/news/live` });
+
+    assert.equal(result.status, 'failed');
+  });
+
+  it('fails on a 404 without retrying', async () => {
+    const result = await extractArticle({ link: `${base}/news/gone` });
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'HTTP 404');
+    assert.equal(hits.get('/news/gone'), 1);
+  });
+
+  it('skips links to private addresses without requesting them', async () => {
+    delete process.env.ALLOW_PRIVATE_TARGETS;
+    const result = await extractArticle({ link: `${base}/news/park` });
+
+    assert.equal(result.status, 'skipped');
+    assert.equal(hits.size, 0);
+  });
+});